@@ -191,6 +191,126 @@ BaseDialect.prototype.getSqlRange = function(sql, offset, limit) {
     throw new Error("Range not implemented");
 };
 
+/**
+ * Returns the SQL statement explaining the execution plan of the SQL
+ * statement passed as argument. Dialect implementations should override this.
+ * @param {String} sql The SQL statement to explain
+ * @param {String} statementId The identifier of the statement
+ * @returns The SQL statement
+ * @type String
+ */
+BaseDialect.prototype.getSqlExplain = function(sql, statementId) {
+    throw new Error("Explain not implemented");
+};
+
+/**
+ * Returns the SQL statement for reading the execution plan created by the
+ * statement returned by getSqlExplain(), or null if that statement returns
+ * the plan itself. Dialect implementations can override this.
+ * @param {String} statementId The identifier of the statement
+ * @returns The SQL statement, or null
+ * @type String
+ */
+BaseDialect.prototype.getSqlExplainPlan = function(statementId) {
+    return null;
+};
+
+/**
+ * Returns the SQL statement removing the execution plan created by the
+ * statement returned by getSqlExplain(), or null if there is nothing to
+ * remove. Dialect implementations returning a statement in
+ * getSqlExplainPlan() should override this.
+ * @param {String} statementId The identifier of the statement
+ * @returns The SQL statement, or null
+ * @type String
+ */
+BaseDialect.prototype.getSqlExplainRemove = function(statementId) {
+    return null;
+};
+
+/**
+ * Returns the SQL fragment comparing the column with a pattern passed
+ * as statement parameter. This implementation expects the database to use
+ * the backslash as default escape character in patterns. Dialect
+ * implementations can override this.
+ * @param {String} columnName The qualified column name
+ * @param {Boolean} ignoreCase If true the comparison should be case-insensitive
+ * @returns The SQL fragment
+ * @type String
+ */
+BaseDialect.prototype.getSqlLike = function(columnName, ignoreCase) {
+    if (ignoreCase === true) {
+        return "LOWER(" + columnName + ") LIKE LOWER(?)";
+    }
+    return columnName + " LIKE ?";
+};
+
+/**
+ * Returns the SQL fragment of a single order-by key. This implementation
+ * uses the standard "NULLS FIRST" resp. "NULLS LAST" syntax, dialect
+ * implementations for databases not supporting it should override this.
+ * @param {String} expression The SQL expression to sort by
+ * @param {String} order The order ("asc" or "desc")
+ * @param {String} nulls The placement of null values ("first" or "last"),
+ * or null to use the default of the database
+ * @returns The SQL fragment
+ * @type String
+ */
+BaseDialect.prototype.getSqlOrder = function(expression, order, nulls) {
+    var sql = expression + " " + order;
+    if (nulls != null) {
+        sql += " NULLS " + nulls.toUpperCase();
+    }
+    return sql;
+};
+
+/**
+ * Extends the SQL statement passed as argument with a row locking clause.
+ * This implementation uses "FOR UPDATE" resp. "FOR SHARE", optionally followed
+ * by "NOWAIT". Dialect implementations should override this if the database
+ * uses a different syntax or supports lock timeouts.
+ * @param {String} sql The SQL statement to add the locking clause to
+ * @param {Object} lock The lock options, containing the properties "shared"
+ * (true for a shared lock), "nowait" (true to fail immediately if the rows are
+ * locked) and "timeout" (the number of seconds to wait for the lock, or null)
+ * @returns The SQL statement
+ * @type String
+ */
+BaseDialect.prototype.getSqlLock = function(sql, lock) {
+    if (lock.timeout != null) {
+        throw new Error("Lock timeouts are not supported by this database");
+    }
+    sql += (lock.shared === true) ? " FOR SHARE" : " FOR UPDATE";
+    if (lock.nowait === true) {
+        sql += " NOWAIT";
+    }
+    return sql;
+};
+
+/**
+ * Returns true if the database supports locking rows of statements limited
+ * using getSqlRange(). Dialect implementations can override this.
+ * @returns True if rows selected with offset or limit can be locked
+ * @type Boolean
+ */
+BaseDialect.prototype.hasLockRangeSupport = function() {
+    return true;
+};
+
+/**
+ * Returns the fetch size to use for statements whose result set is read
+ * row by row. Dialect implementations can override this if the driver
+ * needs a special value to stream results.
+ * @param {Number} fetchSize The requested fetch size
+ * @param {Boolean} inTransaction True if the statement is executed using
+ * the connection of a transaction
+ * @returns The fetch size
+ * @type Number
+ */
+BaseDialect.prototype.getFetchSize = function(fetchSize, inTransaction) {
+    return fetchSize;
+};
+
 /**
  * Returns the name of the default schema. Dialect implementations can override this.
  * @param {java.sql.Connection} conn The connection to use
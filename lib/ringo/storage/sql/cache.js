@@ -71,6 +71,23 @@ var Cache = function(size) {
         return;
     });
 
+    /**
+     * Removes all cached values of the given entity type
+     * @param {String} type The entity type
+     */
+    this.removeType = new org.mozilla.javascript.Synchronizer(function(type) {
+        var prefix = type + "#";
+        [newTable, oldTable].forEach(function(table) {
+            var iterator = table.keySet().iterator();
+            while (iterator.hasNext()) {
+                if (String(iterator.next()).indexOf(prefix) === 0) {
+                    iterator.remove();
+                }
+            }
+        });
+        return;
+    });
+
     /**
      * Returns true if the cache contains the given key
      * @param {Object} key The cache key
@@ -78,6 +78,17 @@ var Collection = function(collectionMapping, query) {
         return objects.forEach(func);
     };
 
+    /**
+     * Populates this collection with the objects passed as argument, which
+     * have been loaded together with the entity owning this collection
+     * @param {Array} values The objects contained in this collection
+     */
+    this.preload = function(values) {
+        objects = values;
+        isInitialized = true;
+        return;
+    };
+
     return this;
 };
 
@@ -195,6 +206,23 @@ var PartitionedCollection = function(collectionMapping, query) {
         });
     };
 
+    /**
+     * Populates this collection with the objects passed as argument, which
+     * have been loaded together with the entity owning this collection
+     * @param {Array} values The objects contained in this collection
+     */
+    this.preload = function(values) {
+        ids = values.map(function(obj) {
+            return obj._id;
+        });
+        partitions = [];
+        for (var i=0; i<values.length; i+=collectionMapping.partitionSize) {
+            partitions.push(values.slice(i, i + collectionMapping.partitionSize));
+        }
+        isInitialized = true;
+        return;
+    };
+
     return this;
 };
 
@@ -88,5 +88,33 @@ Dialect.prototype.getSqlRange = function(sql, offset, limit) {
     return sql + " LIMIT " + limit + " OFFSET " + offset;
 };
 
+/**
+ * Returns the SQL statement explaining the execution plan of the SQL
+ * statement passed as argument
+ * @param {String} sql The SQL statement to explain
+ * @param {String} statementId The identifier of the statement (ignored)
+ * @returns The SQL statement
+ * @type String
+ */
+Dialect.prototype.getSqlExplain = function(sql, statementId) {
+    return "EXPLAIN " + sql;
+};
+
+/**
+ * Extends the SQL statement passed as argument with a row locking clause.
+ * H2 only supports exclusive row locks, which are used for shared locks too.
+ * The lock timeout is a setting of the database, so neither NOWAIT nor
+ * a timeout can be specified.
+ * @param {String} sql The SQL statement to add the locking clause to
+ * @param {Object} lock The lock options
+ * @returns The SQL statement
+ * @type String
+ */
+Dialect.prototype.getSqlLock = function(sql, lock) {
+    if (lock.nowait === true || lock.timeout != null) {
+        throw new Error("NOWAIT and lock timeouts are not supported by H2");
+    }
+    return sql + " FOR UPDATE";
+};
 
 exports = new Dialect();
@@ -84,8 +84,78 @@ Dialect.prototype.getSqlRange = function(sql, offset, limit) {
     return sql + " LIMIT " + limit + " OFFSET " + offset;
 };
 
+/**
+ * Returns the fetch size to use for statements whose result set is read
+ * row by row. The MySQL driver only streams results if the fetch size
+ * is Integer.MIN_VALUE, any other value leads to the result set being
+ * read into memory as a whole. Since no other statement can be executed
+ * on a connection while a result is streamed, results are only streamed
+ * outside of transactions: within a transaction entities loaded during
+ * iteration use the same connection.
+ * @param {Number} fetchSize The requested fetch size
+ * @param {Boolean} inTransaction True if the statement is executed using
+ * the connection of a transaction
+ * @returns The fetch size
+ * @type Number
+ */
+Dialect.prototype.getFetchSize = function(fetchSize, inTransaction) {
+    if (inTransaction === true) {
+        return fetchSize;
+    }
+    return java.lang.Integer.MIN_VALUE;
+};
+
 Dialect.prototype.getDefaultSchema = function(conn) {
     return null;
 };
 
+/**
+ * Returns the SQL statement explaining the execution plan of the SQL
+ * statement passed as argument
+ * @param {String} sql The SQL statement to explain
+ * @param {String} statementId The identifier of the statement (ignored)
+ * @returns The SQL statement
+ * @type String
+ */
+Dialect.prototype.getSqlExplain = function(sql, statementId) {
+    return "EXPLAIN " + sql;
+};
+
+/**
+ * Returns the SQL fragment of a single order-by key. MySQL doesn't support
+ * "NULLS FIRST" resp. "NULLS LAST", so the placement of null values is
+ * emulated by sorting by "IS NULL" first.
+ * @param {String} expression The SQL expression to sort by
+ * @param {String} order The order ("asc" or "desc")
+ * @param {String} nulls The placement of null values ("first" or "last"),
+ * or null to use the default of the database
+ * @returns The SQL fragment
+ * @type String
+ */
+Dialect.prototype.getSqlOrder = function(expression, order, nulls) {
+    var sql = expression + " " + order;
+    if (nulls != null) {
+        return expression + " IS NULL " + ((nulls === "first") ? "DESC" : "ASC") +
+                ", " + sql;
+    }
+    return sql;
+};
+
+/**
+ * Extends the SQL statement passed as argument with a row locking clause,
+ * using "LOCK IN SHARE MODE" for shared locks. MySQL 5 doesn't support
+ * NOWAIT, and the lock timeout is defined by the server variable
+ * "innodb_lock_wait_timeout".
+ * @param {String} sql The SQL statement to add the locking clause to
+ * @param {Object} lock The lock options
+ * @returns The SQL statement
+ * @type String
+ */
+Dialect.prototype.getSqlLock = function(sql, lock) {
+    if (lock.nowait === true || lock.timeout != null) {
+        throw new Error("NOWAIT and lock timeouts are not supported by MySQL 5");
+    }
+    return sql + ((lock.shared === true) ? " LOCK IN SHARE MODE" : " FOR UPDATE");
+};
+
 exports = new Dialect();
@@ -107,4 +107,107 @@ Dialect.prototype.getDefaultSchema = function(conn) {
     return null;
 };
 
+/**
+ * Returns the SQL fragment comparing the column with a pattern passed
+ * as statement parameter. Since Oracle doesn't have a default escape character
+ * the fragment explicitly defines the backslash as such.
+ * @param {String} columnName The qualified column name
+ * @param {Boolean} ignoreCase If true the comparison should be case-insensitive
+ * @returns The SQL fragment
+ * @type String
+ */
+Dialect.prototype.getSqlLike = function(columnName, ignoreCase) {
+    if (ignoreCase === true) {
+        return "LOWER(" + columnName + ") LIKE LOWER(?) ESCAPE '\\'";
+    }
+    return columnName + " LIKE ? ESCAPE '\\'";
+};
+
+/**
+ * Returns the SQL statement storing the execution plan of the SQL statement
+ * passed as argument in the plan table. Oracle doesn't accept bind values
+ * for "EXPLAIN PLAN", so the parameter placeholders of the statement are
+ * replaced with named bind variables that are left unbound.
+ * @param {String} sql The SQL statement to explain
+ * @param {String} statementId The identifier of the statement
+ * @returns The SQL statement
+ * @type String
+ */
+Dialect.prototype.getSqlExplain = function(sql, statementId) {
+    var sqlBuf = new java.lang.StringBuffer();
+    var quote = null;
+    var count = 0;
+    for (var i=0; i<sql.length; i+=1) {
+        var c = sql.charAt(i);
+        if (quote !== null) {
+            if (c === quote) {
+                quote = null;
+            }
+        } else if (c === "'" || c === '"') {
+            quote = c;
+        } else if (c === "?") {
+            sqlBuf.append(":p").append(++count);
+            continue;
+        }
+        sqlBuf.append(c);
+    }
+    return "EXPLAIN PLAN SET STATEMENT_ID = '" + statementId + "' FOR " + sqlBuf.toString();
+};
+
+/**
+ * Returns the SQL statement removing the execution plan of the statement
+ * with the given identifier from the plan table
+ * @param {String} statementId The identifier of the statement
+ * @returns The SQL statement
+ * @type String
+ */
+Dialect.prototype.getSqlExplainRemove = function(statementId) {
+    return "DELETE FROM PLAN_TABLE WHERE STATEMENT_ID = '" + statementId + "'";
+};
+
+/**
+ * Returns the SQL statement for reading the execution plan of the statement
+ * with the given identifier from the plan table
+ * @param {String} statementId The identifier of the statement
+ * @returns The SQL statement
+ * @type String
+ */
+Dialect.prototype.getSqlExplainPlan = function(statementId) {
+    return "SELECT ID, PARENT_ID, DEPTH, OPERATION, OPTIONS, OBJECT_NAME, " +
+            "COST, CARDINALITY, BYTES, ACCESS_PREDICATES, FILTER_PREDICATES " +
+            "FROM PLAN_TABLE WHERE STATEMENT_ID = '" + statementId + "' ORDER BY ID";
+};
+
+/**
+ * Returns false, since Oracle doesn't allow locking rows of the inline view
+ * used to limit the result of a statement
+ * @returns False
+ * @type Boolean
+ */
+Dialect.prototype.hasLockRangeSupport = function() {
+    return false;
+};
+
+/**
+ * Extends the SQL statement passed as argument with a row locking clause.
+ * Oracle doesn't support shared row locks, but allows to specify the
+ * number of seconds to wait for a lock using "WAIT".
+ * @param {String} sql The SQL statement to add the locking clause to
+ * @param {Object} lock The lock options
+ * @returns The SQL statement
+ * @type String
+ */
+Dialect.prototype.getSqlLock = function(sql, lock) {
+    if (lock.shared === true) {
+        throw new Error("Shared row locks are not supported by Oracle");
+    }
+    sql += " FOR UPDATE";
+    if (lock.nowait === true) {
+        sql += " NOWAIT";
+    } else if (lock.timeout != null) {
+        sql += " WAIT " + lock.timeout;
+    }
+    return sql;
+};
+
 exports = new Dialect();
@@ -90,5 +90,31 @@ Dialect.prototype.getSqlRange = function(sql, offset, limit) {
     return sql + " LIMIT " + limit + " OFFSET " + offset;
 };
 
+/**
+ * Returns the SQL fragment comparing the column with a pattern passed
+ * as statement parameter. Case-insensitive comparisons use ILIKE.
+ * @param {String} columnName The qualified column name
+ * @param {Boolean} ignoreCase If true the comparison should be case-insensitive
+ * @returns The SQL fragment
+ * @type String
+ */
+Dialect.prototype.getSqlLike = function(columnName, ignoreCase) {
+    if (ignoreCase === true) {
+        return columnName + " ILIKE ?";
+    }
+    return columnName + " LIKE ?";
+};
+
+/**
+ * Returns the SQL statement explaining the execution plan of the SQL
+ * statement passed as argument
+ * @param {String} sql The SQL statement to explain
+ * @param {String} statementId The identifier of the statement (ignored)
+ * @returns The SQL statement
+ * @type String
+ */
+Dialect.prototype.getSqlExplain = function(sql, statementId) {
+    return "EXPLAIN " + sql;
+};
 
 exports = new Dialect();
@@ -0,0 +1,289 @@
+export("apply");
+
+/**
+ * The comparison operators and the query methods they map to
+ * @type Object
+ * @private
+ */
+var COMPARISONS = {
+    "$eq": "equals",
+    "$ne": "notEquals",
+    "$lt": "less",
+    "$lte": "lessEquals",
+    "$gt": "greater",
+    "$gte": "greaterEquals"
+};
+
+/**
+ * Adds the clauses defined by the filter object passed as argument to the
+ * query. Filter objects use the following syntax:
+ *
+ *     {"title": "Book 1"}                      // equals
+ *     {"author": null}                         // is null
+ *     {"price": {"$lt": 20, "$gte": 10}}       // $eq, $ne, $lt, $lte, $gt, $gte
+ *     {"author.name": {"$in": ["A", "B"]}}     // $in, $nin
+ *     {"title": {"$like": "Book%"}}            // $like, $ilike
+ *     {"price": {"$between": [10, 20]}}
+ *     {"available": {"$exists": true}}        // is not null
+ *     {"$or": [{...}, {...}], "$and": [...], "$not": {...}}
+ *
+ * Multiple properties or operators are combined using "and". Property names
+ * (or paths like "author.name") and values are validated against the entity
+ * mapping, so filter objects received from untrusted sources can be passed
+ * to this method. Values of date properties are either the number of
+ * milliseconds since the epoch or a date string, values of object mappings
+ * are the ids of the referenced entities.
+ * @param {Query} query The query to add the clauses to
+ * @param {Object} filter The filter object
+ * @returns The query
+ * @type Query
+ */
+function apply(query, filter) {
+    if (!isObject(filter)) {
+        throw new Error("Invalid filter " + toString(filter));
+    }
+    var createBuilder = function(child) {
+        if (!isObject(child)) {
+            throw new Error("Invalid filter " + toString(child));
+        }
+        return function(q) {
+            apply(q, child);
+        };
+    };
+    for (var key in filter) {
+        var value = filter[key];
+        switch (key) {
+            case "$or":
+            case "$and":
+                if (!(value instanceof Array) || value.length < 1) {
+                    throw new Error("Operator " + key + " expects a non-empty array");
+                }
+                query[key.substring(1)].apply(query, value.map(createBuilder));
+                break;
+            case "$not":
+                query.not(createBuilder(value));
+                break;
+            default:
+                if (key.charAt(0) === "$") {
+                    throw new Error("Unknown filter operator " + key);
+                }
+                applyProperty(query, key, value);
+        }
+    }
+    return query;
+}
+
+/**
+ * Adds the clauses for a single property of a filter object to the query
+ * @param {Query} query The query
+ * @param {String} property The property name or path
+ * @param {Object} value The filter value of the property
+ * @private
+ */
+var applyProperty = function(query, property, value) {
+    var propMapping = getPropertyMapping(query, property);
+    if (value instanceof Array) {
+        throw new Error("Invalid value for property '" + property + "', use $in instead");
+    } else if (!isObject(value)) {
+        query.equals(property, convertValue(propMapping, property, value, true));
+        return;
+    }
+    var operators = Object.keys(value);
+    if (operators.length < 1) {
+        throw new Error("Missing operator for property '" + property + "'");
+    }
+    operators.forEach(function(operator) {
+        var operand = value[operator];
+        switch (operator) {
+            case "$eq":
+            case "$ne":
+                query[COMPARISONS[operator]](property,
+                        convertValue(propMapping, property, operand, true));
+                break;
+            case "$lt":
+            case "$lte":
+            case "$gt":
+            case "$gte":
+                query[COMPARISONS[operator]](property,
+                        convertValue(propMapping, property, operand, false));
+                break;
+            case "$in":
+            case "$nin":
+                if (!(operand instanceof Array) || operand.length < 1) {
+                    throw new Error("Operator " + operator + " expects a non-empty array");
+                }
+                var values = operand.map(function(val) {
+                    return convertValue(propMapping, property, val, false);
+                });
+                if (operator === "$in") {
+                    query.equals(property, values);
+                } else {
+                    query.notIn(property, values);
+                }
+                break;
+            case "$like":
+            case "$ilike":
+                if (!isStringType(propMapping.type) || typeof(operand) !== "string") {
+                    throw new Error("Operator " + operator + " expects a string property and pattern");
+                }
+                if (operator === "$like") {
+                    query.like(property, operand);
+                } else {
+                    query.likeIgnoreCase(property, operand);
+                }
+                break;
+            case "$between":
+                if (!(operand instanceof Array) || operand.length !== 2) {
+                    throw new Error("Operator $between expects an array of two values");
+                }
+                query.between(property,
+                        convertValue(propMapping, property, operand[0], false),
+                        convertValue(propMapping, property, operand[1], false));
+                break;
+            case "$exists":
+                if (typeof(operand) !== "boolean") {
+                    throw new Error("Operator $exists expects a boolean");
+                }
+                if (operand) {
+                    query.isNotNull(property);
+                } else {
+                    query.isNull(property);
+                }
+                break;
+            default:
+                throw new Error("Unknown filter operator " + operator);
+        }
+    });
+    return;
+};
+
+/**
+ * Returns the mapping of the property passed as argument. Paths are resolved
+ * along the object mappings of the entities.
+ * @param {Query} query The query
+ * @param {String} path The property name or path
+ * @returns The property mapping
+ * @private
+ */
+var getPropertyMapping = function(query, path) {
+    var names = path.split(".");
+    var mapping = query.mapping;
+    var propMapping = null;
+    names.forEach(function(name, idx) {
+        if (propMapping !== null) {
+            if (!propMapping.isObjectMapping()) {
+                throw new Error("Property '" + names[idx - 1] + "' in '" + path +
+                        "' is not an object mapping");
+            }
+            mapping = query.store.getEntityMapping(propMapping.entity);
+        }
+        if (name === mapping.id.name) {
+            propMapping = mapping.id;
+        } else if (/^\w+$/.test(name) && mapping.properties.hasOwnProperty(name)) {
+            propMapping = mapping.properties[name];
+        } else {
+            throw new Error("Unknown property '" + path + "'");
+        }
+    });
+    if (propMapping.isCollectionMapping()) {
+        throw new Error("Collection '" + path + "' can't be used in filters");
+    }
+    return propMapping;
+};
+
+/**
+ * Validates the value passed as argument against the type of the property
+ * mapping and returns the value to use in the query
+ * @param {Object} propMapping The property mapping
+ * @param {String} property The property name or path
+ * @param {Object} value The filter value
+ * @param {Boolean} nullable If true null is a valid value
+ * @returns The converted value
+ * @private
+ */
+var convertValue = function(propMapping, property, value, nullable) {
+    if (value === null && nullable === true) {
+        return null;
+    } else if (propMapping.isObjectMapping() && value instanceof Storable) {
+        return value;
+    }
+    switch (propMapping.type) {
+        case "integer":
+        case "long":
+        case "short":
+        case "byte":
+            if (typeof(value) === "number" && isFinite(value) && value % 1 === 0) {
+                return value;
+            }
+            break;
+        case "float":
+        case "double":
+            if (typeof(value) === "number" && isFinite(value)) {
+                return value;
+            }
+            break;
+        case "string":
+        case "text":
+        case "character":
+            if (typeof(value) === "string") {
+                return value;
+            }
+            break;
+        case "boolean":
+            if (typeof(value) === "boolean") {
+                return value;
+            }
+            break;
+        case "date":
+        case "time":
+        case "timestamp":
+            if (typeof(value) === "number" || typeof(value) === "string") {
+                var date = new Date(value);
+                if (!isNaN(date.getTime())) {
+                    return date;
+                }
+            }
+            break;
+    }
+    throw new Error("Invalid value " + toString(value) + " for property '" + property + "'");
+};
+
+/**
+ * Returns true if the type passed as argument is a string type
+ * @param {String} type The type name
+ * @returns True if the type is a string type
+ * @type Boolean
+ * @private
+ */
+var isStringType = function(type) {
+    return type === "string" || type === "text" || type === "character";
+};
+
+/**
+ * Returns true if the value passed as argument is a plain object
+ * @param {Object} value The value
+ * @returns True if the value is an object
+ * @type Boolean
+ * @private
+ */
+var isObject = function(value) {
+    return value !== null && typeof(value) === "object" &&
+            !(value instanceof Array) && !(value instanceof Date) &&
+            !(value instanceof Storable);
+};
+
+/**
+ * Returns the JSON representation of the value passed as argument,
+ * used in error messages
+ * @param {Object} value The value
+ * @returns The string representation
+ * @type String
+ * @private
+ */
+var toString = function(value) {
+    try {
+        return JSON.stringify(value);
+    } catch (e) {
+        return String(value);
+    }
+};
@@ -3,7 +3,8 @@ export("Key");
 /**
  * Database Key constructor
  * @param {String} type The type of the key
- * @param {Number} id The id of the key
+ * @param {Number|String|Array} id The id of the key. Ids of entities with a composite
+ * key are arrays containing the values of the key properties.
  * @constructor
  */
 var Key = function(type, id) {
@@ -20,7 +21,7 @@ var Key = function(type, id) {
 
     /**
      * Contains the id of this key
-     * @type Number
+     * @type Number|String|Array
      */
     Object.defineProperty(this, "id", {
         "get": function() {
@@ -48,6 +49,9 @@ var Key = function(type, id) {
 
 /** @ignore */
 Key.prototype.toString = function() {
+    if (this.id instanceof Array) {
+        return this.type + "#" + JSON.stringify(this.id);
+    }
     return this.type + "#" + this.id;
 };
 
@@ -58,5 +62,22 @@ Key.prototype.toString = function() {
  * @type Boolean
  */
 Key.prototype.equals = function(key) {
-    return this === key || (this.type === key.type && this.id === key.id);
+    return this === key || (this.type === key.type && equalIds(this.id, key.id));
+};
+
+/**
+ * Returns true if both ids passed as arguments are equal
+ * @param {Number|String|Array} idA The id
+ * @param {Number|String|Array} idB The id to compare to
+ * @returns True if both ids are equal
+ * @type Boolean
+ * @private
+ */
+var equalIds = function(idA, idB) {
+    if (idA instanceof Array && idB instanceof Array) {
+        return idA.length === idB.length && idA.every(function(value, idx) {
+            return value === idB[idx];
+        });
+    }
+    return idA === idB;
 };
\ No newline at end of file
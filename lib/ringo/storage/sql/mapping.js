@@ -2,21 +2,32 @@ export("Mapping");
 
 var types = require("./types");
 
+/**
+ * The supported id types
+ * @type Array
+ * @private
+ */
+var ID_TYPES = ["long", "integer", "string", "uuid"];
+
 /**
  * Wrapper class for entity mapping definitions
  * @class Instances of this class wrap an entity mapping definition and
  * provide various helper getters
  * @param {String} type The entity type this mapping belongs to
  * @param {Object} definition The mapping definition
+ * @param {Store} store Optional store the entity is defined in, used to
+ * resolve the mappings of referenced entities
  * @returns A newly created Mapping instance
  * @constructor
  */
-var Mapping = function(type, definition) {
+var Mapping = function(type, definition, store) {
     
     var id = new IdMapping(this, definition.id);
     var propertyMap = {};
     var columnMap = {};
-    columnMap[id.column] = id;
+    if (!id.isComposite()) {
+        columnMap[id.column] = id;
+    }
     
     /**
      * The entity type name this mapping belongs to
@@ -26,6 +37,14 @@ var Mapping = function(type, definition) {
         "value": type
     });
 
+    /**
+     * The store the entity is defined in
+     * @type Store
+     */
+    Object.defineProperty(this, "store", {
+        "value": store || null
+    });
+
     /**
      * A map containing the property mappings by property name
      * @type Object
@@ -87,6 +106,20 @@ var Mapping = function(type, definition) {
         columnMap[propMapping.column] = propMapping;
     }
 
+    // the properties of a composite id must be mapped columns
+    if (id.isComposite()) {
+        if (!(id.properties instanceof Array) || id.properties.length < 1) {
+            throw new Error("The composite id of " + type + " must define an array of properties");
+        }
+        id.properties.forEach(function(name) {
+            var propMapping = propertyMap[name];
+            if (propMapping == null || propMapping.isCollectionMapping()) {
+                throw new Error("Property '" + name + "' of the composite id of " +
+                        type + " must be a mapped column");
+            }
+        });
+    }
+
     return this;
 };
 
@@ -103,6 +136,10 @@ Mapping.prototype.toString = function() {
  */
 Mapping.prototype.getMapping = function(property) {
     if (property === "id") {
+        if (this.id.isComposite()) {
+            throw new Error(this.type + " has a composite id, use the properties " +
+                    this.id.properties.join(", ") + " instead");
+        }
         return this.id;
     }
     var propMapping = this.properties[property];
@@ -112,6 +149,37 @@ Mapping.prototype.getMapping = function(property) {
     return propMapping;
 };
 
+/**
+ * Returns the mappings of the columns forming the primary key, which is either
+ * the ID mapping or the property mappings of a composite id
+ * @returns An array of mappings
+ * @type Array
+ */
+Mapping.prototype.getKeyMappings = function() {
+    if (this.id.isComposite()) {
+        return this.id.properties.map(function(name) {
+            return this.properties[name];
+        }, this);
+    }
+    return [this.id];
+};
+
+/**
+ * Returns the id contained in the entity data passed as argument. The id
+ * of entities with a composite id is an array containing the values of
+ * the key properties.
+ * @param {Object} entity The entity data, using column names as keys
+ * @returns The id
+ */
+Mapping.prototype.getKeyValue = function(entity) {
+    if (this.id.isComposite()) {
+        return this.getKeyMappings().map(function(keyMapping) {
+            return entity[keyMapping.column];
+        });
+    }
+    return entity[this.id.column];
+};
+
 /**
  * Returns the column name for the given property
  * @param {String} property The name of the property
@@ -194,6 +262,10 @@ var IdMapping = function(mapping, definition) {
     if (definition == null) {
         definition = {};
     }
+    if (definition.type != null && ID_TYPES.indexOf(definition.type) < 0) {
+        throw new Error("Unsupported id type '" + definition.type + "' of " +
+                mapping.type + ", use one of " + ID_TYPES.join(", "));
+    }
 
     /**
      * Contains the parent mapping
@@ -220,19 +292,47 @@ var IdMapping = function(mapping, definition) {
     });
 
     /**
-     * Contains the column type ("long")
+     * Contains the column type, which is "long" unless defined otherwise.
+     * UUIDs are stored in "string" columns.
      * @type String
      */
     Object.defineProperty(this, "type", {
-        "value": "long"
+        "value": (definition.type === "uuid") ? "string" : (definition.type || "long")
     });
 
     /**
-     * Contains the column in which the ID is stored. Defaults to "id"
+     * Contains the length of string id columns
+     * @type Number
+     */
+    Object.defineProperty(this, "length", {
+        "value": (definition.type === "uuid") ? 36 :
+                ((this.type === "string") ? (definition.length || 255) : undefined)
+    });
+
+    /**
+     * Ids are never nullable
+     * @type Boolean
+     */
+    Object.defineProperty(this, "nullable", {
+        "value": false
+    });
+
+    /**
+     * Contains the names of the properties forming a composite id, or null
+     * if the ID is stored in a single column
+     * @type Array
+     */
+    Object.defineProperty(this, "properties", {
+        "value": definition.properties || null
+    });
+
+    /**
+     * Contains the column in which the ID is stored. Defaults to "id", and
+     * is null for composite ids.
      * @type String
      */
     Object.defineProperty(this, "column", {
-        "value": definition.column || this.name
+        "value": (this.properties !== null) ? null : (definition.column || this.name)
     });
 
     /**
@@ -252,6 +352,35 @@ IdMapping.prototype.toString = function() {
     return "[ID mapping " + this.name + "]";
 };
 
+/**
+ * Returns true if this ID consists of several properties
+ * @returns True if the ID is a composite one
+ * @type Boolean
+ */
+IdMapping.prototype.isComposite = function() {
+    return this.properties !== null;
+};
+
+/**
+ * Returns true if the ids are UUIDs generated by the store
+ * @returns True if the ids are UUIDs
+ * @type Boolean
+ */
+IdMapping.prototype.isUuid = function() {
+    return this.definition.type === "uuid";
+};
+
+/**
+ * Returns true if the ids are assigned by the application, which is the case
+ * for composite and string ids, or if enabled in the mapping definition
+ * @returns True if the ids are assigned by the application
+ * @type Boolean
+ */
+IdMapping.prototype.isAssigned = function() {
+    return this.isComposite() || this.definition.assigned === true ||
+            this.definition.type === "string";
+};
+
 /**
  * Returns true if this ID has a sequence defined
  * @returns True if a sequence is defined, false otherwise
@@ -390,11 +519,25 @@ var ObjectMapping = function(mapping, name, definition) {
     });
 
     /**
-     * Contains the column type
+     * Contains the column type, which is the type of the foreign key property
+     * of the mapped entity
      * @type String
      */
     Object.defineProperty(this, "type", {
-        "value": "long"
+        "get": function() {
+            return this.getForeignMapping().type;
+        }
+    });
+
+    /**
+     * Contains the column length, which is the length of the foreign key
+     * property of the mapped entity
+     * @type Number
+     */
+    Object.defineProperty(this, "length", {
+        "get": function() {
+            return this.getForeignMapping().length;
+        }
     });
 
     /**
@@ -430,6 +573,21 @@ ObjectMapping.prototype.toString = function() {
     return "[Object Mapping " + this.name + "]";
 };
 
+/**
+ * Returns the mapping of the mapped entity's property used as the foreign key
+ * @returns The property mapping
+ * @type IdMapping | PrimitiveMapping
+ * @throws Error if the mapped entity isn't defined
+ */
+ObjectMapping.prototype.getForeignMapping = function() {
+    var store = this.mapping.store;
+    if (store === null || !store.isEntityDefined(this.entity)) {
+        throw new Error("Entity '" + this.entity + "' mapped by " + this +
+                " of " + this.mapping.type + " is not defined");
+    }
+    return store.getEntityMapping(this.entity).getMapping(this.foreignProperty);
+};
+
 
 /**
  * @param mapping
@@ -525,7 +683,7 @@ var CollectionMapping = function(mapping, name, definition) {
     });
 
     /**
-     * The "order by" expression
+     * The "order by" expression, following the syntax of Query.orderBy()
      * @type String
      */
     Object.defineProperty(this, "orderBy", {
@@ -0,0 +1,515 @@
+export("parse", "compile");
+
+var Cache = require("./cache").Cache;
+var log = require('ringo/logging').getLogger(module.id);
+
+/**
+ * Contains the statements already parsed
+ * @type Cache
+ * @private
+ */
+var cache = new Cache();
+
+/**
+ * The pattern used to split a query string into tokens
+ * @type RegExp
+ * @private
+ */
+var TOKEN_PATTERN = /\s*(?:('(?:[^']|'')*')|(-?\d+(?:\.\d+)?)|(:\w+)|(<=|>=|<>|!=|=|<|>|\(|\)|,|\*)|([A-Za-z_][\w.]*))/g;
+
+/**
+ * The comparison operators and the query methods they map to
+ * @type Object
+ * @private
+ */
+var OPERATORS = {
+    "=": "equals",
+    "!=": "notEquals",
+    "<>": "notEquals",
+    "<": "less",
+    "<=": "lessEquals",
+    ">": "greater",
+    ">=": "greaterEquals"
+};
+
+/**
+ * Parses the query string passed as argument and returns the resulting
+ * statement. Parsed statements are cached, so subsequent calls with the same
+ * query string return the same statement object. The syntax of the query
+ * language is:
+ *
+ *     [select *|property] from Entity [where condition]
+ *         [order by property [asc|desc][, ...]] [limit n] [offset n]
+ *
+ * Conditions can be combined using "and", "or", "not" and parenthesis. Supported
+ * conditions are comparisons (=, !=, <>, <, <=, >, >=), "[not] like",
+ * "[not] ilike", "[not] in (...)", "is [not] null" and "[not] between x and y".
+ * Values are either literals (strings in single quotes, numbers, true, false
+ * and null) or named parameters (eg. ":author").
+ * @param {String} str The query string
+ * @returns The parsed statement
+ * @type Object
+ */
+function parse(str) {
+    if (cache.containsKey(str)) {
+        return cache.get(str);
+    }
+    log.debug("Parsing query", str);
+    var statement = (new Parser(str)).parseStatement();
+    cache.put(str, statement);
+    return statement;
+}
+
+/**
+ * Creates a query for the parsed statement passed as argument
+ * @param {Store} store The store to create the query for
+ * @param {Object} statement The parsed statement
+ * @param {Object} params Optional object containing the values of the named
+ * parameters used in the statement
+ * @returns The query
+ * @type Query
+ */
+function compile(store, statement, params) {
+    var query = store.query(statement.type);
+    if (statement.where !== null) {
+        applyCondition(query, statement.where, params || {});
+    }
+    statement.orders.forEach(function(order) {
+        query.orderBy(order.property + " " + order.order);
+    });
+    if (statement.limit !== null) {
+        query.limit(getValue(statement.limit, params));
+    }
+    if (statement.offset !== null) {
+        query.offset(getValue(statement.offset, params));
+    }
+    return query;
+}
+
+/**
+ * Returns the value of a parsed value node
+ * @param {Object} node The value node
+ * @param {Object} params The parameters object
+ * @returns The value
+ * @private
+ */
+var getValue = function(node, params) {
+    if (node.param !== undefined) {
+        if (params == null || !params.hasOwnProperty(node.param)) {
+            throw new Error("Missing value for query parameter '" + node.param + "'");
+        }
+        return params[node.param];
+    }
+    return node.value;
+};
+
+/**
+ * Adds the parsed condition to the query passed as argument
+ * @param {Query} query The query
+ * @param {Object} node The condition node
+ * @param {Object} params The parameters object
+ * @private
+ */
+var applyCondition = function(query, node, params) {
+    var createBuilder = function(child) {
+        return function(q) {
+            applyCondition(q, child, params);
+        };
+    };
+    switch (node.op) {
+        case "and":
+            node.children.forEach(function(child) {
+                applyCondition(query, child, params);
+            });
+            break;
+        case "or":
+            query.or.apply(query, node.children.map(createBuilder));
+            break;
+        case "not":
+            query.not(createBuilder(node.child));
+            break;
+        case "compare":
+            query[OPERATORS[node.operator]](node.property, getValue(node.value, params));
+            break;
+        case "like":
+            var pattern = getValue(node.value, params);
+            var method = (node.ignoreCase === true) ? "likeIgnoreCase" : "like";
+            if (node.negate === true) {
+                query.not(function(q) {
+                    q[method](node.property, pattern);
+                });
+            } else {
+                query[method](node.property, pattern);
+            }
+            break;
+        case "in":
+            var values = null;
+            if (node.values instanceof Array) {
+                values = node.values.map(function(value) {
+                    return getValue(value, params);
+                });
+            } else {
+                values = getValue(node.values, params);
+                if (!(values instanceof Array)) {
+                    throw new Error("Value of query parameter '" +
+                            node.values.param + "' must be an array");
+                }
+            }
+            if (node.negate === true) {
+                query.notIn(node.property, values);
+            } else {
+                query.equals(node.property, values);
+            }
+            break;
+        case "null":
+            if (node.negate === true) {
+                query.isNotNull(node.property);
+            } else {
+                query.isNull(node.property);
+            }
+            break;
+        case "between":
+            var from = getValue(node.from, params);
+            var to = getValue(node.to, params);
+            if (node.negate === true) {
+                query.not(function(q) {
+                    q.between(node.property, from, to);
+                });
+            } else {
+                query.between(node.property, from, to);
+            }
+            break;
+        default:
+            throw new Error("Unknown condition " + node.op);
+    }
+    return;
+};
+
+/**
+ * Creates a new Parser instance
+ * @class Instances of this class parse a single query string
+ * @param {String} str The query string to parse
+ * @returns A newly created Parser instance
+ * @constructor
+ * @private
+ */
+var Parser = function(str) {
+    var tokens = tokenize(str);
+    var idx = 0;
+
+    /**
+     * Returns the current token without consuming it
+     * @returns The current token, or null if all tokens have been consumed
+     * @type Object
+     */
+    this.peek = function() {
+        return (idx < tokens.length) ? tokens[idx] : null;
+    };
+
+    /**
+     * Consumes the current token and returns it
+     * @returns The current token
+     * @type Object
+     */
+    this.next = function() {
+        if (idx >= tokens.length) {
+            throw new Error("Unexpected end of query '" + str + "'");
+        }
+        return tokens[idx++];
+    };
+
+    /**
+     * Returns true if the current token is the keyword or symbol passed
+     * as argument. If so the token is consumed.
+     * @param {String} value The keyword or symbol
+     * @returns True if the current token matches
+     * @type Boolean
+     */
+    this.accept = function(value) {
+        var token = this.peek();
+        if (token !== null && (token.type === "word" || token.type === "symbol")
+                && token.value.toLowerCase() === value) {
+            idx += 1;
+            return true;
+        }
+        return false;
+    };
+
+    /**
+     * Consumes the current token, throwing an error if it's not the
+     * keyword or symbol passed as argument
+     * @param {String} value The keyword or symbol
+     */
+    this.expect = function(value) {
+        if (!this.accept(value)) {
+            this.fail("Expected '" + value + "'");
+        }
+        return;
+    };
+
+    /**
+     * Throws an error containing the position of the current token
+     * @param {String} message The error message
+     */
+    this.fail = function(message) {
+        var token = this.peek();
+        var position = (token !== null) ? token.position : str.length;
+        throw new Error(message + " at position " + position + " in query '" + str + "'");
+    };
+
+    return this;
+};
+
+/** @ignore */
+Parser.prototype.toString = function() {
+    return "[Parser]";
+};
+
+/**
+ * Parses a whole statement
+ * @returns The statement
+ * @type Object
+ */
+Parser.prototype.parseStatement = function() {
+    var statement = {
+        "property": null,
+        "type": null,
+        "where": null,
+        "orders": [],
+        "limit": null,
+        "offset": null
+    };
+    if (this.accept("select")) {
+        statement.property = this.accept("*") ? "*" : this.parseIdentifier();
+    }
+    this.expect("from");
+    statement.type = this.parseIdentifier();
+    if (this.accept("where")) {
+        statement.where = this.parseOr();
+    }
+    if (this.accept("order")) {
+        this.expect("by");
+        do {
+            var property = this.parseIdentifier();
+            var order = "asc";
+            if (this.accept("desc")) {
+                order = "desc";
+            } else {
+                this.accept("asc");
+            }
+            statement.orders.push({
+                "property": property,
+                "order": order
+            });
+        } while (this.accept(","));
+    }
+    if (this.accept("limit")) {
+        statement.limit = this.parseValue();
+    }
+    if (this.accept("offset")) {
+        statement.offset = this.parseValue();
+    }
+    if (this.peek() !== null) {
+        this.fail("Unexpected '" + this.peek().value + "'");
+    }
+    return statement;
+};
+
+/**
+ * Parses conditions combined with "or"
+ * @returns The condition node
+ * @type Object
+ */
+Parser.prototype.parseOr = function() {
+    var children = [this.parseAnd()];
+    while (this.accept("or")) {
+        children.push(this.parseAnd());
+    }
+    if (children.length === 1) {
+        return children[0];
+    }
+    return {"op": "or", "children": children};
+};
+
+/**
+ * Parses conditions combined with "and"
+ * @returns The condition node
+ * @type Object
+ */
+Parser.prototype.parseAnd = function() {
+    var children = [this.parseNot()];
+    while (this.accept("and")) {
+        children.push(this.parseNot());
+    }
+    if (children.length === 1) {
+        return children[0];
+    }
+    return {"op": "and", "children": children};
+};
+
+/**
+ * Parses an optionally negated condition
+ * @returns The condition node
+ * @type Object
+ */
+Parser.prototype.parseNot = function() {
+    if (this.accept("not")) {
+        return {"op": "not", "child": this.parseNot()};
+    }
+    if (this.accept("(")) {
+        var node = this.parseOr();
+        this.expect(")");
+        return node;
+    }
+    return this.parseCondition();
+};
+
+/**
+ * Parses a single condition
+ * @returns The condition node
+ * @type Object
+ */
+Parser.prototype.parseCondition = function() {
+    var property = this.parseIdentifier();
+    var token = this.peek();
+    if (token !== null && token.type === "symbol" && OPERATORS.hasOwnProperty(token.value)) {
+        this.next();
+        return {
+            "op": "compare",
+            "operator": token.value,
+            "property": property,
+            "value": this.parseValue()
+        };
+    }
+    if (this.accept("is")) {
+        var isNegated = this.accept("not");
+        this.expect("null");
+        return {"op": "null", "property": property, "negate": isNegated};
+    }
+    var negate = this.accept("not");
+    var isLike = this.accept("like");
+    if (isLike || this.accept("ilike")) {
+        return {
+            "op": "like",
+            "property": property,
+            "value": this.parseValue(),
+            "ignoreCase": !isLike,
+            "negate": negate
+        };
+    }
+    if (this.accept("in")) {
+        var values = null;
+        if (this.accept("(")) {
+            values = [];
+            do {
+                values.push(this.parseValue());
+            } while (this.accept(","));
+            this.expect(")");
+        } else {
+            values = this.parseValue();
+            if (values.param === undefined) {
+                this.fail("Expected a list of values or a parameter");
+            }
+        }
+        return {"op": "in", "property": property, "values": values, "negate": negate};
+    }
+    if (this.accept("between")) {
+        var from = this.parseValue();
+        this.expect("and");
+        return {
+            "op": "between",
+            "property": property,
+            "from": from,
+            "to": this.parseValue(),
+            "negate": negate
+        };
+    }
+    return this.fail("Expected operator after '" + property + "'");
+};
+
+/**
+ * Parses an identifier (entity or property name, or property path)
+ * @returns The identifier
+ * @type String
+ */
+Parser.prototype.parseIdentifier = function() {
+    var token = this.peek();
+    if (token === null || token.type !== "word" || KEYWORDS.indexOf(token.value.toLowerCase()) > -1) {
+        this.fail("Expected identifier");
+    }
+    return this.next().value;
+};
+
+/**
+ * Parses a value, which is either a named parameter or a literal
+ * @returns The value node, containing either the parameter name or the value
+ * @type Object
+ */
+Parser.prototype.parseValue = function() {
+    var token = this.peek();
+    if (token === null) {
+        this.fail("Expected value");
+    }
+    switch (token.type) {
+        case "param":
+            this.next();
+            return {"param": token.value.substring(1)};
+        case "string":
+            this.next();
+            return {"value": token.value.slice(1, -1).replace(/''/g, "'")};
+        case "number":
+            this.next();
+            return {"value": Number(token.value)};
+        case "word":
+            var value = token.value.toLowerCase();
+            if (value === "true" || value === "false" || value === "null") {
+                this.next();
+                return {"value": (value === "null") ? null : value === "true"};
+            }
+    }
+    return this.fail("Expected value");
+};
+
+/**
+ * The reserved keywords of the query language
+ * @type Array
+ * @private
+ */
+var KEYWORDS = ["select", "from", "where", "and", "or", "not", "like", "ilike",
+        "in", "is", "null", "between", "order", "by", "asc", "desc", "limit",
+        "offset", "true", "false"];
+
+/**
+ * Splits the query string passed as argument into tokens
+ * @param {String} str The query string
+ * @returns An array containing the tokens
+ * @type Array
+ * @private
+ */
+var tokenize = function(str) {
+    var types = ["string", "number", "param", "symbol", "word"];
+    // use a separate regexp instance, since exec() modifies its state
+    var pattern = new RegExp(TOKEN_PATTERN.source, "g");
+    var tokens = [];
+    var position = 0;
+    var match;
+    while (position < str.length && /\S/.test(str.substring(position))) {
+        match = pattern.exec(str);
+        if (match === null || match.index !== position) {
+            throw new Error("Unexpected character at position " + position +
+                    " in query '" + str + "'");
+        }
+        for (var i=1; i<=types.length; i+=1) {
+            if (match[i] != null) {
+                tokens.push({
+                    "type": types[i - 1],
+                    "value": match[i],
+                    "position": pattern.lastIndex - match[i].length
+                });
+                break;
+            }
+        }
+        position = pattern.lastIndex;
+    }
+    return tokens;
+};
@@ -1,14 +1,38 @@
 export("Query");
 
+var Cache = require("./cache").Cache;
+var base64 = require("ringo/base64");
+var filter = require("./filter");
+var sqlUtils = require("ringo/storage/sql/util");
 var log = require('ringo/logging').getLogger(module.id);
 
 var EQUAL = "=";
+var NOT_EQUAL = "<>";
 var GREATER_THAN = ">";
 var GREATER_THAN_OR_EQUALS = ">=";
 var LESS_THAN = "<";
 var LESS_THAN_OR_EQUALS = "<=";
 var ORDER_ASC = "asc";
 var ORDER_DESC = "desc";
+var NULLS_FIRST = "first";
+var NULLS_LAST = "last";
+var AND = "AND";
+var OR = "OR";
+var DEFAULT_FETCH_SIZE = 100;
+var INCLUDE_BATCH_SIZE = 500;
+
+/**
+ * The comparison operators and their filter object counterparts
+ * @type Object
+ * @private
+ */
+var FILTER_OPERATORS = {};
+FILTER_OPERATORS[EQUAL] = "$eq";
+FILTER_OPERATORS[NOT_EQUAL] = "$ne";
+FILTER_OPERATORS[GREATER_THAN] = "$gt";
+FILTER_OPERATORS[GREATER_THAN_OR_EQUALS] = "$gte";
+FILTER_OPERATORS[LESS_THAN] = "$lt";
+FILTER_OPERATORS[LESS_THAN_OR_EQUALS] = "$lte";
 
 /**
  * Creates a new Query instance
@@ -22,8 +46,24 @@ var Query = function(store, type) {
 
     var clauses = [];
     var orders = [];
+    var groups = [];
+    var havings = [];
+    var joins = [];
+    var joinMap = {};
+    var owner = null;
+    var parent = null;
+    var alias = null;
+    var projection = null;
+    var subQueries = 0;
+    var children = [];
+    var cacheable = false;
     var offset = 0;
     var limit = 0;
+    var distinct = false;
+    var fetchSize = DEFAULT_FETCH_SIZE;
+    var seek = null;
+    var includes = {};
+    var lock = null;
 
     /**
      * Contains the store of this query
@@ -70,6 +110,210 @@ var Query = function(store, type) {
         "enumerable": false
     });
 
+    /**
+     * Contains the names of the properties to group by
+     * @type Array
+     */
+    Object.defineProperty(this, "groups", {
+        "value": groups,
+        "enumerable": false
+    });
+
+    /**
+     * Contains the having clauses of this query
+     * @type Array
+     */
+    Object.defineProperty(this, "havings", {
+        "value": havings,
+        "enumerable": false
+    });
+
+    /**
+     * Contains the joins needed to resolve property paths used in this query
+     * @type Array
+     */
+    Object.defineProperty(this, "joins", {
+        "get": function() {
+            return (owner !== null) ? owner.joins : joins;
+        },
+        "enumerable": false
+    });
+
+    /**
+     * Resolves the property passed as argument. The property can be a path
+     * of property names separated by dots (eg. "author.name"), in which case
+     * all but the last one must be object mappings. For each of them a join
+     * is registered in this query.
+     * @param {String} path The property name or path
+     * @returns An object containing the property mapping ("mapping") and
+     * the qualified column name ("column")
+     * @type Object
+     */
+    this.resolveProperty = function(path) {
+        if (owner !== null) {
+            return owner.resolveProperty(path);
+        }
+        var names = path.split(".");
+        var mapping = this.mapping;
+        var tableAlias = this.getAlias();
+        var alias = tableAlias;
+        for (var i=0; i<names.length - 1; i+=1) {
+            var objMapping = mapping.getMapping(names[i]);
+            if (!objMapping.isObjectMapping()) {
+                throw new Error("Property '" + names[i] + "' in '" + path +
+                        "' is not an object mapping");
+            }
+            var joinPath = names.slice(0, i + 1).join(".");
+            var join = joinMap[joinPath];
+            if (join === undefined) {
+                join = joinMap[joinPath] = new Join(this, objMapping,
+                        alias, (tableAlias || "") + "j" + (joins.length + 1));
+                joins.push(join);
+            }
+            mapping = join.mapping;
+            alias = join.alias;
+        }
+        var propMapping = mapping.getMapping(names[names.length - 1]);
+        var columnName = null;
+        if (alias !== null) {
+            columnName = alias + "." + store.dialect.quote(propMapping.column);
+        } else {
+            columnName = propMapping.getQualifiedColumnName(store.dialect);
+        }
+        return {
+            "mapping": propMapping,
+            "column": columnName
+        };
+    };
+
+    /**
+     * Sets the query owning this one. Used for queries whose clauses are
+     * merged into another query, so that both share the joins of the owner.
+     * @param {Query} query The owning query
+     * @private
+     */
+    this.setOwner = function(query) {
+        owner = query;
+        return;
+    };
+
+    /**
+     * Sets the query this one is used in as sub query. Sub queries get
+     * their own table alias, so that they can refer to the same tables
+     * as the enclosing query. Since the aliases of joins are derived from
+     * the table alias, joins registered so far are discarded.
+     * @param {Query} query The enclosing query
+     * @private
+     */
+    this.setParent = function(query) {
+        if (parent !== query) {
+            parent = query;
+            alias = null;
+            joins = [];
+            joinMap = {};
+            query.addSubQuery(this);
+        }
+        return;
+    };
+
+    /**
+     * Registers a sub query used in the clauses of this query
+     * @param {Query} query The sub query
+     * @private
+     */
+    this.addSubQuery = function(query) {
+        if (owner !== null) {
+            return owner.addSubQuery(query);
+        }
+        if (children.indexOf(query) < 0) {
+            children.push(query);
+        }
+        return;
+    };
+
+    /**
+     * Returns the entity types involved in this query, including the ones
+     * of joins and sub queries. Note that joins and sub queries are
+     * registered when the query is rendered.
+     * @returns An array of entity type names
+     * @type Array
+     * @private
+     */
+    this.getEntityTypes = function() {
+        if (owner !== null) {
+            return owner.getEntityTypes();
+        }
+        var result = [type];
+        joins.forEach(function(join) {
+            result.push(join.mapping.type);
+        });
+        children.forEach(function(query) {
+            result.push.apply(result, query.getEntityTypes());
+        });
+        return result.filter(function(name, idx) {
+            return result.indexOf(name) === idx;
+        });
+    };
+
+    /**
+     * Returns the query this one is used in as sub query, or null
+     * @returns The enclosing query
+     * @type Query
+     * @private
+     */
+    this.getParent = function() {
+        return (owner !== null) ? owner.getParent() : parent;
+    };
+
+    /**
+     * Returns the alias of the table queried, or null if this query isn't
+     * used as sub query. The alias is created on first access.
+     * @returns The table alias
+     * @type String
+     * @private
+     */
+    this.getAlias = function() {
+        if (owner !== null) {
+            return owner.getAlias();
+        }
+        if (alias === null && parent !== null) {
+            alias = parent.createAlias();
+        }
+        return alias;
+    };
+
+    /**
+     * Returns a new table alias for a sub query of this query
+     * @returns The table alias
+     * @type String
+     * @private
+     */
+    this.createAlias = function() {
+        if (owner !== null) {
+            return owner.createAlias();
+        }
+        subQueries += 1;
+        return (this.getAlias() || "") + "s" + subQueries;
+    };
+
+    /**
+     * Sets the property selected if this query is used as sub query
+     * @param {String} property The property name
+     */
+    this.setProjection = function(property) {
+        return projection = property;
+    };
+
+    /**
+     * Returns the property selected if this query is used as sub query,
+     * or null if the id is selected
+     * @returns The property name
+     * @type String
+     */
+    this.getProjection = function() {
+        return projection;
+    };
+
     /**
      * Sets an optional result limit
      * @param {Number} value The result limit
@@ -104,6 +348,131 @@ var Query = function(store, type) {
         return offset;
     };
 
+    /**
+     * Sets the number of rows fetched from the database at once when
+     * iterating over the result of this query
+     * @param {Number} value The fetch size
+     */
+    this.setFetchSize = function(value) {
+        return fetchSize = value;
+    };
+
+    /**
+     * Returns the number of rows fetched from the database at once when
+     * iterating over the result of this query
+     * @returns The fetch size
+     * @type Number
+     */
+    this.getFetchSize = function() {
+        return fetchSize;
+    };
+
+    /**
+     * Sets the keyset position of this query
+     * @param {Object} value An object containing the values of the cursor
+     * ("values", null for the first resp. last page) and the direction
+     * ("forward"), or null
+     */
+    this.setSeek = function(value) {
+        return seek = value;
+    };
+
+    /**
+     * Returns the keyset position of this query, or null if none is defined
+     * @returns The keyset position
+     * @type Object
+     */
+    this.getSeek = function() {
+        return seek;
+    };
+
+    /**
+     * Sets whether the result of this query should be cached
+     * @param {Boolean} value True to cache the result
+     */
+    this.setCacheable = function(value) {
+        return cacheable = (value === true);
+    };
+
+    /**
+     * Returns true if the result of this query is cached
+     * @returns True if the result is cached
+     * @type Boolean
+     */
+    this.isCacheable = function() {
+        return cacheable;
+    };
+
+    /**
+     * Sets whether duplicate result rows should be eliminated
+     * @param {Boolean} value True to select distinct rows only
+     */
+    this.setDistinct = function(value) {
+        return distinct = (value === true);
+    };
+
+    /**
+     * Returns true if this query selects distinct rows only
+     * @returns True if duplicate rows are eliminated
+     * @type Boolean
+     */
+    this.isDistinct = function() {
+        return distinct;
+    };
+
+    /**
+     * Adds a path of related entities to fetch together with the result
+     * of this query
+     * @param {Array} names The property names of the path
+     */
+    this.addInclude = function(names) {
+        var node = includes;
+        names.forEach(function(name) {
+            if (!node.hasOwnProperty(name)) {
+                node[name] = {};
+            }
+            node = node[name];
+        });
+        return;
+    };
+
+    /**
+     * Returns the related entities to fetch together with the result of
+     * this query, as a tree of objects keyed by property names
+     * @returns The included relations
+     * @type Object
+     */
+    this.getIncludes = function() {
+        return includes;
+    };
+
+    /**
+     * Returns true if related entities are fetched together with the result
+     * of this query
+     * @returns True if this query includes related entities
+     * @type Boolean
+     */
+    this.hasIncludes = function() {
+        return Object.keys(includes).length > 0;
+    };
+
+    /**
+     * Sets the row lock acquired by this query
+     * @param {Object} value The lock options, or null
+     */
+    this.setLock = function(value) {
+        return lock = value;
+    };
+
+    /**
+     * Returns the row lock acquired by this query
+     * @returns The lock options, or null if this query doesn't lock rows
+     * @type Object
+     */
+    this.getLock = function() {
+        return lock;
+    };
+
     return this;
 };
 
@@ -113,262 +482,2843 @@ Query.prototype.toString = function() {
 };
 
 /**
- * Returns the SQL statement represented by this query
+ * Returns the SQL statement represented by this query. Clause values are
+ * not part of the statement, instead it contains placeholders for them.
+ * @param {String|Array} property Optional property name, array of property
+ * names or "*"
+ * @param {Array} params Optional array the statement parameters are added to.
+ * Each parameter is an object containing the column type and the value.
  * @returns The SQL statement to use for querying
  * @type String
  */
-Query.prototype.toSql = function(property) {
+Query.prototype.toSql = function(property, params) {
+    if (params == null) {
+        params = [];
+    }
     var store = this.store;
     var mapping = store.getEntityMapping(this.type);
-    var sqlBuf = new java.lang.StringBuffer("SELECT ");
-    var columnName = null;
-    if (typeof(property) === "string") {
-        if (property === "*") {
-            columnName = property;
-        } else {
-            var propMapping = mapping.getMapping(property);
-            columnName = propMapping.getQualifiedColumnName(store.dialect);
+    // the selected columns, null if all columns of the table are selected
+    var columns = null;
+    if (property instanceof Array) {
+        var query = this;
+        columns = property.map(function(name) {
+            return query.resolveProperty(name).column;
+        });
+    } else if (typeof(property) === "string") {
+        if (property !== "*") {
+            columns = [this.resolveProperty(property).column];
         }
     } else {
-        columnName = mapping.id.getQualifiedColumnName(store.dialect);
-    }
-    sqlBuf.append(columnName);
-    sqlBuf.append(" FROM ");
-    sqlBuf.append(mapping.getQualifiedTableName(store.dialect));
-    if (this.clauses.length > 0) {
-        sqlBuf.append(" WHERE ");
-        sqlBuf.append(this.clauses.map(function(clause) {
-            return clause.toSql();
-        }).join(" AND "));
-    }
-    // orders
-    if (this.orders.length > 0) {
-        sqlBuf.append(" ORDER BY ").append(this.orders.map(function(order) {
-            return order.toSql();
-        }).join(", "));
+        columns = mapping.getKeyMappings().map(function(keyMapping) {
+            return this.resolveProperty(keyMapping.name).column;
+        }, this);
     }
-    // offset/limit
-    if (this.getOffset() > 0 && this.getLimit() !== 0) {
-        return store.dialect.getSqlRange(sqlBuf.toString(), this.getOffset(), this.getLimit());
-    } else if (this.getOffset() > 0) {
-        return store.dialect.getSqlOffset(sqlBuf.toString(), this.getOffset());
-    } else if (this.getLimit() !== 0) {
-        return store.dialect.getSqlLimit(sqlBuf.toString(), this.getLimit());
+    var where = getSqlWhere(this, params);
+    var order = getSqlOrder(this);
+    var sqlBuf = new java.lang.StringBuffer("SELECT ");
+    if (this.isDistinct()) {
+        checkDistinctOrder(this, columns);
+        sqlBuf.append("DISTINCT ");
     }
-    return sqlBuf.toString();
+    if (columns === null) {
+        sqlBuf.append(this.getAlias() || mapping.getQualifiedTableName(store.dialect));
+        sqlBuf.append(".*");
+    } else {
+        sqlBuf.append(columns.join(", "));
+    }
+    sqlBuf.append(getSqlFrom(this)).append(where).append(order);
+    return applyRange(this, sqlBuf.toString());
 };
 
 /**
  * Executes this query
- * @param {String} property Either the name of a property, or "*". In the former
- * case this method returns an array containing the property values of each matched
- * entity, in the latter it returns an array containing all matched entities. If
- * the argument is omitted, this method returns an array containing lazily loaded
- * entities (they are loaded at first property access).
- * @returns The result array containing either values or entities matching the query
+ * @param {String|Array} property Either the name of a property, an array of
+ * property names or "*". In the first case this method returns an array
+ * containing the property values of each matched entity, in the second an
+ * array of plain objects containing the values of the properties (using the
+ * property names as keys), and in the latter it returns an array containing
+ * all matched entities. If the argument is omitted, this method returns an
+ * array containing lazily loaded entities (they are loaded at first property
+ * access).
+ * @returns The result array containing either values, objects or entities
+ * matching the query
  * @type Array
  */
 Query.prototype.select = function(property) {
-    var store = this.store;
-    var type = this.type;
-    var sql = this.toSql(property);
-    log.debug("Retrieving entities:", sql);
-    var mapping = store.getEntityMapping(type);
-    return store.executeQuery(sql, store.getCollector(mapping, property));
+    return selectEntities(this, property);
 };
 
 /**
- * Adds an "equals"-clause to this query
- * @param {String} property The property
- * @param {Object} value The value. If the value is an array, the clause added
- * leads to an "where property in (value)" SQL clause.
- * @returns The query
- * @type Query
+ * Returns the execution plan of this query as determined by the database
+ * @param {String|Array} property Optional property name, array of property
+ * names or "*" (see select())
+ * @returns An array of objects, each one containing the columns of a row
+ * of the execution plan. The columns differ between databases.
+ * @type Array
  */
-Query.prototype.equals = function(property, value) {
-    if (value instanceof Array) {
-        this.clauses.push(new InClause(this, property, value));
-    } else {
-        this.clauses.push(new OperatorClause(this, EQUAL, property, value));
-    }
-    return this;
+Query.prototype.explain = function(property) {
+    var params = [];
+    var sql = this.toSql(property, params);
+    return this.store.explain(sql, params);
 };
 
 /**
- * Adds a "greater than"-clause to this query
- * @param {String} property The property
- * @param {Object} value The value
- * @returns The query
- * @type Query
+ * Executes this query and returns an iterator over the result. Contrary to
+ * select() the rows are read from the database one at a time (using the
+ * fetch size of this query). The iterator is closed automatically when
+ * exhausted or if reading a row fails, but not if a for each loop over it
+ * is left by break or an exception thrown in the loop body. In this case
+ * the iterator must be closed by calling its close() method (eg. in a
+ * finally block), otherwise the database connection is never released.
+ * Use forEach() unless iteration must be controlled explicitly.
+ * @param {String|Array} property Optional property name, array of property
+ * names or "*" (see select())
+ * @returns The iterator
+ * @type ResultIterator
  */
-Query.prototype.greater = function(property, value) {
-    this.clauses.push(new OperatorClause(this, GREATER_THAN, property, value));
-    return this;
+Query.prototype.iterate = function(property) {
+    var store = this.store;
+    checkLock(this);
+    var params = [];
+    var sql = applyLock(this, this.toSql(property, params));
+    log.debug("Iterating entities:", sql);
+    return store.iterateQuery(sql, params, getReader(this, property),
+            this.getFetchSize());
 };
 
 /**
- * Adds a "greater than or equals"-clause to this query
- * @param {String} property The property
- * @param {Object} value The value
- * @returns The query
- * @type Query
+ * Executes this query and calls the function passed as argument for each
+ * result row. This is the preferred way of processing large results: rows
+ * are read from the database one at a time (using the fetch size of this
+ * query), and the underlying connection is released when the iteration
+ * ends, even if the function throws an exception.
+ * @param {Function} func The function to call, receiving the value or
+ * entity and its index position as arguments
+ * @param {String|Array} property Optional property name, array of property
+ * names or "*" (see select())
  */
-Query.prototype.greaterEquals = function(property, value) {
-    this.clauses.push(new OperatorClause(this, GREATER_THAN_OR_EQUALS, property, value));
-    return this;
+Query.prototype.forEach = function(func, property) {
+    return this.iterate(property).forEach(func);
 };
 
 /**
- * Adds a "less than"-clause to this query
- * @param {String} property The property
- * @param {Object} value The value
- * @returns The query
- * @type Query
+ * Executes this query and returns the first result
+ * @param {String} property Optional property name or "*"
+ * @returns The first entity resp. property value matching this query, or
+ * null if there is none
+ * @see #select
  */
-Query.prototype.less = function(property, value) {
-    this.clauses.push(new OperatorClause(this, LESS_THAN, property, value));
-    return this;
+Query.prototype.first = function(property) {
+    var result = selectWithLimit(this, property, 1);
+    return (result.length > 0) ? result[0] : null;
 };
 
 /**
- * Adds a "less than or equals"-clause to this query
- * @param {String} property The property
- * @param {Object} value The value
- * @returns The query
- * @type Query
+ * Executes this query and returns the single result. Throws an error if
+ * more than one entity matches this query.
+ * @param {String} property Optional property name or "*"
+ * @returns The entity resp. property value matching this query, or null if
+ * there is none
+ * @see #select
  */
-Query.prototype.lessEquals = function(property, value) {
-    this.clauses.push(new OperatorClause(this, LESS_THAN_OR_EQUALS, property, value));
-    return this;
+Query.prototype.single = function(property) {
+    var result = selectWithLimit(this, property, 2);
+    if (result.length > 1) {
+        throw new Error("Query for " + this.type + " returned more than one result");
+    }
+    return (result.length > 0) ? result[0] : null;
 };
 
 /**
- * Adds an "order by"-clause to this query
- * @param {String} expression The order-by expression following the schema
- * "COLUMN_NAME[ asc[ending]|desc[ending]]"
- * @returns The query
- * @type Query
+ * Returns true if at least one entity matches this query. This doesn't
+ * load any entities. If a query is passed as argument, this method instead
+ * adds an "exists"-clause for the sub query and returns this query.
+ * @param {Query} subQuery Optional sub query
+ * @returns True if an entity matches this query, false otherwise (resp.
+ * this query if a sub query was passed as argument)
+ * @type Boolean
  */
-Query.prototype.orderBy = function(expression) {
-    if (/^\w+\s+desc(ending)?$/i.test(expression) === true) {
-        this.orders.push(new OrderClause(this, expression.substring(0, expression.indexOf(" ")), ORDER_DESC));
-    } else {
-        this.orders.push(new OrderClause(this, expression, ORDER_ASC));
+Query.prototype.exists = function(subQuery) {
+    if (subQuery instanceof Query) {
+        this.clauses.push(new ExistsClause(this, subQuery, false));
+        return this;
     }
-    return this;
+    var store = this.store;
+    var params = [];
+    var sql = null;
+    var limit = this.getLimit();
+    try {
+        this.setLimit(1);
+        sql = this.toSql(null, params);
+    } finally {
+        this.setLimit(limit);
+    }
+    log.debug("Checking existance:", sql);
+    return store.executeQuery(sql, params, function(resultSet) {
+        return resultSet.next();
+    });
 };
 
 /**
- * Sets the result limit of this query
- * @param {Number} limit The result limit
+ * Adds a "not exists"-clause for the sub query passed as argument
+ * @param {Query} subQuery The sub query
  * @returns The query
  * @type Query
  */
-Query.prototype.limit = function(limit) {
-    this.setLimit(limit);
+Query.prototype.notExists = function(subQuery) {
+    this.clauses.push(new ExistsClause(this, subQuery, true));
     return this;
 };
 
 /**
- * Sets the result offset of this query
- * @param {Number} offset The result offset
+ * Defines the property selected by this query if it's used as sub query
+ * of an "in"-clause. By default sub queries select the id of the entities.
+ * @param {String} property The property name
  * @returns The query
  * @type Query
  */
-Query.prototype.offset = function(offset) {
-    this.setOffset(offset);
+Query.prototype.project = function(property) {
+    this.setProjection(property);
     return this;
 };
 
 /**
- * Sets a result range for this query
- * @param {Number} limit The result limit
- * @param {Number} offset The result offset
+ * Restricts this query to entities whose property equals the property of
+ * the enclosing query. This is used for correlated sub queries, eg.
+ * `Author.query().exists(Book.query().correlate("author", "id"))`
+ * @param {String} property The property of this query
+ * @param {String} outerProperty The property of the enclosing query
  * @returns The query
  * @type Query
  */
-Query.prototype.range = function(from, to) {
-    this.setOffset(from);
-    this.setLimit(to - from);
+Query.prototype.correlate = function(property, outerProperty) {
+    this.clauses.push(new CorrelationClause(this, property, outerProperty));
     return this;
 };
 
 /**
- * Creates a new operator clause
- * @class Instances of this class represent an operator clause
- * @param {Query} query The query this clause belongs to
- * @param {String} operator The operator
- * @param {String} property The name of the property
- * @param {Object} value The value. If it's a storable instance, it's id is used as value
- * @returns A newly created OperatorClause instance
- * @constructor
- * @private
+ * Updates all entities matching this query using a single statement. Note
+ * that this bypasses the entity instances, all cached instances of the
+ * entity type are removed from the store's cache.
+ * @param {Object} values An object containing the new property values
+ * @param {Transaction} transaction Optional transaction, defaults to the
+ * transaction bound to the current thread
+ * @returns The number of updated rows
+ * @type Number
  */
-var OperatorClause = function(query, operator, property, value) {
-    
-    this.toSql = function() {
-        var propMapping = query.mapping.getMapping(property);
-        var columnName = propMapping.getQualifiedColumnName(query.store.dialect);
-        var sqlBuf = new java.lang.StringBuffer(columnName);
-        sqlBuf.append(" ").append(operator).append(" ");
-        if (typeof(value) === "string") {
-            sqlBuf.append("'").append(value.toString()).append("'");
-        } else if (value instanceof Storable && value._id != null) {
-            sqlBuf.append(value._id.toString());
-        } else {
-            sqlBuf.append(value.toString());
+Query.prototype.update = function(values, transaction) {
+    var store = this.store;
+    var mapping = this.mapping;
+    var params = [];
+    var sqlBuf = new java.lang.StringBuffer("UPDATE ");
+    sqlBuf.append(mapping.getQualifiedTableName(store.dialect)).append(" SET ");
+    var assignments = [];
+    for (var property in values) {
+        var propMapping = mapping.getMapping(property);
+        if (propMapping === mapping.id || propMapping.isCollectionMapping() ||
+                mapping.getKeyMappings().indexOf(propMapping) > -1) {
+            throw new Error("Property '" + property + "' can't be updated");
         }
-        return sqlBuf.toString();
-    };
-    
-    return this;
+        assignments.push(store.dialect.quote(propMapping.column) + " = ?");
+        params.push({
+            "type": propMapping.type,
+            "value": getParameterValue(values[property])
+        });
+    }
+    if (assignments.length < 1) {
+        throw new Error("No property values to update");
+    }
+    sqlBuf.append(assignments.join(", "));
+    sqlBuf.append(getSqlBulkWhere(this, params));
+    return executeBulk(this, sqlBuf.toString(), params, transaction);
 };
 
 /**
- * Creates a new "where in"-clause
- * @class Instances of this class represent a "where column in (...)" clause
- * @param {Query} query The query this clause belongs to
- * @param {String} property The name of the property
- * @param {Array} value An array of values. The array can contain storable
- * instances as values, in which case the id of the storables are used as values
- * @returns A newly created OperatorClause instance
- * @constructor
- * @private
+ * Removes all entities matching this query using a single statement. Note
+ * that this bypasses the entity instances, all cached instances of the
+ * entity type are removed from the store's cache.
+ * @param {Transaction} transaction Optional transaction, defaults to the
+ * transaction bound to the current thread
+ * @returns The number of removed rows
+ * @type Number
  */
-var InClause = function(query, property, value) {
+Query.prototype.remove = function(transaction) {
+    var params = [];
+    var sqlBuf = new java.lang.StringBuffer("DELETE FROM ");
+    sqlBuf.append(this.mapping.getQualifiedTableName(this.store.dialect));
+    sqlBuf.append(getSqlBulkWhere(this, params));
+    return executeBulk(this, sqlBuf.toString(), params, transaction);
+};
 
-    this.toSql = function() {
-        var propMapping = query.mapping.getMapping(property);
-        var columnName = propMapping.getQualifiedColumnName(query.store.dialect);
-        var sqlBuf = new java.lang.StringBuffer(columnName);
-        sqlBuf.append(" in (");
-        sqlBuf.append(value.map(function(val) {
-            if (typeof(val) === "string") {
-                return "'" + val + "'";
-            } else if (val instanceof Storable && val._id != null) {
-                return val._id.toString();
-            } else {
-                return val.toString();
-            }
-        }).join(", "));
-        sqlBuf.append(")");
-        return sqlBuf.toString();
-    };
-    
-    return this;
+/**
+ * Returns the number of entities matching this query. Note that any order,
+ * offset or limit defined is ignored.
+ * @param {String} property Optional property name. If given only entities
+ * whose property value is not null are counted.
+ * @returns The number of entities matching this query
+ * @type Number
+ */
+Query.prototype.count = function(property) {
+    return selectAggregate(this, "COUNT", property, "long");
 };
 
 /**
- * Creates a new order clause
- * @private
+ * Returns the sum of the values of the given property of all entities
+ * matching this query
+ * @param {String} property The property name
+ * @returns The sum, or null if no entity matches this query
+ * @type Number
  */
-var OrderClause = function(query, property, order) {
-    
+Query.prototype.sum = function(property) {
+    return selectAggregate(this, "SUM", property);
+};
+
+/**
+ * Returns the average of the values of the given property of all entities
+ * matching this query
+ * @param {String} property The property name
+ * @returns The average, or null if no entity matches this query
+ * @type Number
+ */
+Query.prototype.avg = function(property) {
+    return selectAggregate(this, "AVG", property, "double");
+};
+
+/**
+ * Returns the minimum of the values of the given property of all entities
+ * matching this query
+ * @param {String} property The property name
+ * @returns The minimum value, or null if no entity matches this query
+ */
+Query.prototype.min = function(property) {
+    return selectAggregate(this, "MIN", property);
+};
+
+/**
+ * Returns the maximum of the values of the given property of all entities
+ * matching this query
+ * @param {String} property The property name
+ * @returns The maximum value, or null if no entity matches this query
+ */
+Query.prototype.max = function(property) {
+    return selectAggregate(this, "MAX", property);
+};
+
+/**
+ * Executes this query as aggregating report. The result rows are grouped
+ * by the properties passed to groupBy() and filtered by the clauses passed
+ * to having().
+ * @param {String} projections One or more projections, each one either
+ * a property name or an aggregate expression like "count(id)" or "sum(price)",
+ * optionally followed by an alias ("sum(price) as revenue"). Supported aggregate
+ * functions are count, sum, avg, min and max.
+ * @returns An array containing one object for each result row. The values
+ * are stored under the alias of their projection, or the property name resp.
+ * the aggregate expression if no alias is defined.
+ * @type Array
+ */
+Query.prototype.aggregate = function() {
+    checkAggregateLock(this);
+    var store = this.store;
+    var query = this;
+    var projections = Array.prototype.map.call(arguments, function(str) {
+        return new AggregateExpression(query, str);
+    });
+    if (projections.length < 1) {
+        throw new Error("Aggregate queries need at least one projection");
+    }
+    var params = [];
+    var sqlBuf = new java.lang.StringBuffer("SELECT ");
+    sqlBuf.append(projections.map(function(projection) {
+        return projection.toSql();
+    }).join(", "));
+    var where = getSqlWhere(this, params);
+    var group = "";
+    if (this.groups.length > 0) {
+        group = " GROUP BY " + this.groups.map(function(property) {
+            return query.resolveProperty(property).column;
+        }).join(", ");
+    }
+    var having = "";
+    if (this.havings.length > 0) {
+        having = " HAVING " + this.havings.map(function(clause) {
+            return clause.toSql(params);
+        }).join(" " + AND + " ");
+    }
+    var order = getSqlOrder(this);
+    sqlBuf.append(getSqlFrom(this)).append(where).append(group)
+            .append(having).append(order);
+    var sql = applyRange(this, sqlBuf.toString());
+    log.debug("Retrieving aggregates:", sql);
+    var names = projections.map(function(projection) {
+        return projection.name;
+    });
+    var types = projections.map(function(projection) {
+        return projection.type;
+    });
+    return store.executeQuery(sql, params, function(resultSet) {
+        return collectRows(store, names, types, resultSet);
+    });
+};
+
+/**
+ * Groups the result of an aggregate query by the given properties
+ * @param {String} properties One or more property names
+ * @returns The query
+ * @type Query
+ * @see #aggregate
+ */
+Query.prototype.groupBy = function() {
+    Array.prototype.push.apply(this.groups, arguments);
+    return this;
+};
+
+/**
+ * Adds a "having"-clause used to filter the rows of an aggregate query
+ * @param {String} expression Either a grouped property name or an
+ * aggregate expression like "count(id)"
+ * @param {String} operator The comparison operator (one of "=", "<>", "!=",
+ * "<", "<=", ">", ">=")
+ * @param {Object} value The value to compare with
+ * @returns The query
+ * @type Query
+ * @see #aggregate
+ */
+Query.prototype.having = function(expression, operator, value) {
+    this.havings.push(new HavingClause(this, expression, operator, value));
+    return this;
+};
+
+/**
+ * Adds an "equals"-clause to this query
+ * @param {String} property The property
+ * @param {Object} value The value. If the value is an array or a query, the
+ * clause added leads to an "where property in (value)" SQL clause. An empty
+ * array matches no rows at all. If the value is null the clause added leads
+ * to an "where property is null" SQL clause.
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.equals = function(property, value) {
+    if (value instanceof Array || value instanceof Query) {
+        this.clauses.push(new InClause(this, property, value, false));
+    } else if (value === null || value === undefined) {
+        this.clauses.push(new NullClause(this, property, false));
+    } else {
+        this.clauses.push(new OperatorClause(this, EQUAL, property, value));
+    }
+    return this;
+};
+
+/**
+ * Adds a "not equals"-clause to this query
+ * @param {String} property The property
+ * @param {Object} value The value. If the value is an array or a query, the
+ * clause added leads to an "where property not in (value)" SQL clause. If the
+ * value is null the clause added leads to an "where property is not null" SQL
+ * clause.
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.notEquals = function(property, value) {
+    if (value instanceof Array || value instanceof Query) {
+        this.clauses.push(new InClause(this, property, value, true));
+    } else if (value === null || value === undefined) {
+        this.clauses.push(new NullClause(this, property, true));
+    } else {
+        this.clauses.push(new OperatorClause(this, NOT_EQUAL, property, value));
+    }
+    return this;
+};
+
+/**
+ * Adds a "not in"-clause to this query
+ * @param {String} property The property
+ * @param {Array|Query} values An array of values or a sub query. The array
+ * can contain storable instances as values, in which case their id is used
+ * as value. An empty array matches all rows.
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.notIn = function(property, values) {
+    this.clauses.push(new InClause(this, property, values, true));
+    return this;
+};
+
+/**
+ * Adds an "is null"-clause to this query
+ * @param {String} property The property
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.isNull = function(property) {
+    this.clauses.push(new NullClause(this, property, false));
+    return this;
+};
+
+/**
+ * Adds an "is not null"-clause to this query
+ * @param {String} property The property
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.isNotNull = function(property) {
+    this.clauses.push(new NullClause(this, property, true));
+    return this;
+};
+
+/**
+ * Adds a "between"-clause to this query. Note that both values are
+ * included in the range.
+ * @param {String} property The property
+ * @param {Object} from The lower bound of the range
+ * @param {Object} to The upper bound of the range
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.between = function(property, from, to) {
+    this.clauses.push(new BetweenClause(this, property, from, to));
+    return this;
+};
+
+/**
+ * Adds a "greater than"-clause to this query
+ * @param {String} property The property
+ * @param {Object} value The value
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.greater = function(property, value) {
+    this.clauses.push(new OperatorClause(this, GREATER_THAN, property, value));
+    return this;
+};
+
+/**
+ * Adds a "greater than or equals"-clause to this query
+ * @param {String} property The property
+ * @param {Object} value The value
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.greaterEquals = function(property, value) {
+    this.clauses.push(new OperatorClause(this, GREATER_THAN_OR_EQUALS, property, value));
+    return this;
+};
+
+/**
+ * Adds a "less than"-clause to this query
+ * @param {String} property The property
+ * @param {Object} value The value
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.less = function(property, value) {
+    this.clauses.push(new OperatorClause(this, LESS_THAN, property, value));
+    return this;
+};
+
+/**
+ * Adds a "less than or equals"-clause to this query
+ * @param {String} property The property
+ * @param {Object} value The value
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.lessEquals = function(property, value) {
+    this.clauses.push(new OperatorClause(this, LESS_THAN_OR_EQUALS, property, value));
+    return this;
+};
+
+/**
+ * Adds a "like"-clause to this query. The pattern is used as it is, so it
+ * can contain the wildcards "%" and "_". Use a backslash to match these
+ * characters literally.
+ * @param {String} property The property
+ * @param {String} pattern The pattern
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.like = function(property, pattern) {
+    this.clauses.push(new LikeClause(this, property, pattern, false));
+    return this;
+};
+
+/**
+ * Adds a case-insensitive "like"-clause to this query
+ * @param {String} property The property
+ * @param {String} pattern The pattern
+ * @returns The query
+ * @type Query
+ * @see #like
+ */
+Query.prototype.likeIgnoreCase = function(property, pattern) {
+    this.clauses.push(new LikeClause(this, property, pattern, true));
+    return this;
+};
+
+/**
+ * Adds a clause to this query matching all property values starting with
+ * the string passed as argument. Wildcard characters in the string
+ * are matched literally.
+ * @param {String} property The property
+ * @param {String} str The string
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.startsWith = function(property, str) {
+    return this.like(property, escapePattern(str) + "%");
+};
+
+/**
+ * Adds a case-insensitive clause to this query matching all property values
+ * starting with the string passed as argument.
+ * @param {String} property The property
+ * @param {String} str The string
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.startsWithIgnoreCase = function(property, str) {
+    return this.likeIgnoreCase(property, escapePattern(str) + "%");
+};
+
+/**
+ * Adds a clause to this query matching all property values ending with
+ * the string passed as argument. Wildcard characters in the string
+ * are matched literally.
+ * @param {String} property The property
+ * @param {String} str The string
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.endsWith = function(property, str) {
+    return this.like(property, "%" + escapePattern(str));
+};
+
+/**
+ * Adds a case-insensitive clause to this query matching all property values
+ * ending with the string passed as argument.
+ * @param {String} property The property
+ * @param {String} str The string
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.endsWithIgnoreCase = function(property, str) {
+    return this.likeIgnoreCase(property, "%" + escapePattern(str));
+};
+
+/**
+ * Adds a clause to this query matching all property values containing
+ * the string passed as argument. Wildcard characters in the string
+ * are matched literally.
+ * @param {String} property The property
+ * @param {String} str The string
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.contains = function(property, str) {
+    return this.like(property, "%" + escapePattern(str) + "%");
+};
+
+/**
+ * Adds a case-insensitive clause to this query matching all property values
+ * containing the string passed as argument.
+ * @param {String} property The property
+ * @param {String} str The string
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.containsIgnoreCase = function(property, str) {
+    return this.likeIgnoreCase(property, "%" + escapePattern(str) + "%");
+};
+
+/**
+ * Adds a clause to this query combining the arguments with "or"
+ * @param {Query|Function} args One or more queries or builder functions. Builder
+ * functions are called with a newly created query as single argument and can
+ * add clauses to it. The clauses of each query are combined with "and".
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.or = function() {
+    var clauses = getGroupClauses(this, arguments);
+    this.clauses.push(new LogicalClause(OR, clauses));
+    return this;
+};
+
+/**
+ * Adds a clause to this query combining the arguments with "and". This is
+ * mostly useful for nesting "and" groups within "or" groups.
+ * @param {Query|Function} args One or more queries or builder functions. Builder
+ * functions are called with a newly created query as single argument and can
+ * add clauses to it.
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.and = function() {
+    var clauses = getGroupClauses(this, arguments);
+    this.clauses.push(new LogicalClause(AND, clauses));
+    return this;
+};
+
+/**
+ * Adds a clause to this query negating the arguments
+ * @param {Query|Function} args One or more queries or builder functions. Builder
+ * functions are called with a newly created query as single argument and can
+ * add clauses to it. All clauses are combined with "and" before negation.
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.not = function() {
+    var clauses = getGroupClauses(this, arguments);
+    this.clauses.push(new NotClause(new LogicalClause(AND, clauses)));
+    return this;
+};
+
+/**
+ * Adds the clauses defined by the filter object passed as argument to this
+ * query, eg. `{"price": {"$lt": 20}, "author": 5, "$or": [...]}`. Property
+ * names and values are validated against the mapping of the entity, so filter
+ * objects received from untrusted sources can be passed to this method.
+ * Anything but a filter object (eg. a string) is rejected.
+ * @param {Object} filterObject The filter object
+ * @returns The query
+ * @type Query
+ * @see filter#apply
+ */
+Query.prototype.where = function(filterObject) {
+    filter.apply(this, filterObject);
+    return this;
+};
+
+/**
+ * Adds a raw SQL fragment like `"{price} * ? > ?"` to this query, using "?"
+ * as parameter placeholders. Property names or paths in curly braces are
+ * replaced with the qualified column names. The column types used for
+ * binding the parameters are derived from their values. The fragment is
+ * added as it is, so never use untrusted input within the fragment itself.
+ * @param {String} fragment The SQL fragment
+ * @param {Array} params Optional array of parameter values used in the
+ * SQL fragment
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.whereSql = function(fragment, params) {
+    this.clauses.push(new SqlClause(this, fragment, params || []));
+    return this;
+};
+
+/**
+ * Returns the filter object representing the clauses of this query. Passing
+ * the filter object to where() results in an equivalent query. Note that
+ * sub query clauses can't be represented in filter objects, and that ordering
+ * and the result range aren't part of the filter object.
+ * @returns The filter object
+ * @type Object
+ */
+Query.prototype.toFilter = function() {
+    return mergeFilters(this.clauses.map(function(clause) {
+        return clause.toFilter();
+    }));
+};
+
+/**
+ * Adds one or more "order by"-clauses to this query. Each argument is an
+ * order-by expression containing a comma separated list of keys following
+ * the schema "[lower(]PROPERTY_NAME[)][ asc[ending]|desc[ending]][ nulls first|last]",
+ * eg. "lower(author.name) desc nulls last, id". The property name can be a path
+ * of property names separated by dots (eg. "author.name"), wrapping it in
+ * "lower()" sorts case-insensitive.
+ * @param {String} expression One or more order-by expressions
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.orderBy = function(expression) {
+    for each (var arg in arguments) {
+        parseOrderExpression(arg).forEach(function(key) {
+            this.orders.push(new OrderClause(this, key.property, key.order,
+                    key.nulls, key.ignoreCase));
+        }, this);
+    }
+    return this;
+};
+
+/**
+ * Sets the result limit of this query
+ * @param {Number} limit The result limit
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.limit = function(limit) {
+    this.setLimit(limit);
+    return this;
+};
+
+/**
+ * Sets the result offset of this query
+ * @param {Number} offset The result offset
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.offset = function(offset) {
+    this.setOffset(offset);
+    return this;
+};
+
+/**
+ * Enables caching of the result of this query. The query cache of the store
+ * contains the ids of the entities matching the query, the result is
+ * constructed using the object cache. Cached results are invalidated as soon
+ * as one of the tables involved in the query is modified. Note that only
+ * entity queries executed outside of a transaction use the query cache.
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.cacheable = function() {
+    this.setCacheable(true);
+    return this;
+};
+
+/**
+ * Locks the rows matching this query for update until the current
+ * transaction ends. Other transactions trying to lock or modify these rows
+ * wait until the lock is released. The lock is acquired when selecting or
+ * iterating the entities of this query, executing a locking query without an
+ * open transaction throws an error. Locking queries can't be distinct, use
+ * property paths or aggregate functions.
+ * @param {Object} options Optional object containing either the property
+ * "nowait" (if true the query fails instead of waiting for rows locked by
+ * another transaction) or "timeout" (the number of seconds to wait for the
+ * lock). Support for these options depends on the database.
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.forUpdate = function(options) {
+    this.setLock(createLock(false, options));
+    return this;
+};
+
+/**
+ * Acquires a shared lock on the rows matching this query until the current
+ * transaction ends, which prevents other transactions from modifying them
+ * but not from reading or share-locking them. See forUpdate() for the
+ * supported options.
+ * @param {Object} options Optional lock options
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.forShare = function(options) {
+    this.setLock(createLock(true, options));
+    return this;
+};
+
+/**
+ * Fetches the related entities or collections passed as arguments together
+ * with the result of this query, eg. `include("author", "author.books")`.
+ * Each relation is loaded using one query per batch of up to 500 entities,
+ * and the loaded entities are put into the object cache of the store, so
+ * accessing them doesn't require additional queries. Included collections
+ * are populated with the loaded entities. Note that including related
+ * entities implies that the entities matching this query are loaded
+ * as a whole, and that it only affects select() and the methods based on it.
+ * @param {String} path One or more property names or paths of property
+ * names separated by dots
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.include = function(path) {
+    for each (var arg in arguments) {
+        this.addInclude(getIncludePath(this, arg));
+    }
+    return this;
+};
+
+/**
+ * Eliminates duplicate rows from the result of this query. This is mostly
+ * useful in combination with property projections passed to select().
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.distinct = function() {
+    this.setDistinct(true);
+    return this;
+};
+
+/**
+ * Executes this query and returns a page of the result. Both the entities of
+ * the page and the total number of entities matching this query are
+ * retrieved using the same connection. Since the total is counted over the
+ * entities matching this query, distinct queries and queries using
+ * groupBy() can't be paginated.
+ * @param {Number} page The number of the page, starting with 1
+ * @param {Number} pageSize The number of entities per page
+ * @param {String|Array} property Optional property name, array of property
+ * names or "*" (see select())
+ * @returns An object containing the entities of the page ("items"), the
+ * total number of entities ("total"), the page number ("page"), the page
+ * size ("pageSize"), the number of pages ("pages") and flags indicating
+ * whether there is a next ("hasNext") resp. previous page ("hasPrevious")
+ * @type Object
+ */
+Query.prototype.paginate = function(page, pageSize, property) {
+    if (!(page >= 1) || !(pageSize >= 1)) {
+        throw new Error("Invalid page " + page + " or page size " + pageSize);
+    } else if (this.isDistinct() || this.groups.length > 0) {
+        throw new Error("Distinct queries and queries using groupBy() can't be paginated");
+    }
+    var query = this;
+    var offset = this.getOffset();
+    var limit = this.getLimit();
+    return this.store.withReadConnection(function(conn) {
+        var total = selectAggregate(query, "COUNT", null, "long", conn);
+        var items = null;
+        try {
+            query.setOffset((page - 1) * pageSize);
+            query.setLimit(pageSize);
+            items = selectEntities(query, property, conn);
+        } finally {
+            query.setOffset(offset);
+            query.setLimit(limit);
+        }
+        var pages = Math.ceil(total / pageSize);
+        return {
+            "items": items,
+            "total": total,
+            "page": page,
+            "pageSize": pageSize,
+            "pages": pages,
+            "hasNext": page < pages,
+            "hasPrevious": page > 1
+        };
+    });
+};
+
+/**
+ * Restricts this query to the rows following the position of the cursor
+ * passed as argument (keyset pagination). The position is defined by the
+ * order-by properties of this query, using the id as tie-breaker. Note that
+ * the order-by properties must not contain null values.
+ * @param {String} cursor The cursor as returned by seek(). If null the query
+ * starts at the first row.
+ * @returns The query
+ * @type Query
+ * @see #seek
+ */
+Query.prototype.after = function(cursor) {
+    this.setSeek({
+        "values": decodeCursor(cursor),
+        "forward": true
+    });
+    return this;
+};
+
+/**
+ * Restricts this query to the rows preceding the position of the cursor
+ * passed as argument (keyset pagination). The rows are returned in the
+ * order defined by this query.
+ * @param {String} cursor The cursor as returned by seek(). If null the query
+ * ends at the last row.
+ * @returns The query
+ * @type Query
+ * @see #after
+ */
+Query.prototype.before = function(cursor) {
+    this.setSeek({
+        "values": decodeCursor(cursor),
+        "forward": false
+    });
+    return this;
+};
+
+/**
+ * Executes this query and returns a page of entities using keyset pagination.
+ * The position of the page is defined using after() or before(), if none is
+ * defined this method returns the first page.
+ * @param {Number} pageSize The maximum number of entities to return
+ * @returns An object containing the entities of the page ("items") and
+ * opaque cursors for retrieving the next ("next") and the previous page
+ * ("previous"). The cursors are null if there is no such page.
+ * @type Object
+ */
+Query.prototype.seek = function(pageSize) {
+    var seek = this.getSeek();
+    var limit = this.getLimit();
+    var items = null;
+    try {
+        if (seek === null) {
+            this.setSeek({
+                "values": null,
+                "forward": true
+            });
+        }
+        this.setLimit(pageSize + 1);
+        items = this.select("*");
+    } finally {
+        this.setSeek(seek);
+        this.setLimit(limit);
+    }
+    var forward = (seek === null || seek.forward);
+    var hasCursor = (seek !== null && seek.values !== null);
+    var hasMore = items.length > pageSize;
+    if (hasMore) {
+        items = forward ? items.slice(0, pageSize) : items.slice(1);
+    }
+    var hasNext = forward ? hasMore : hasCursor;
+    var hasPrevious = forward ? hasCursor : hasMore;
+    var query = this;
+    return {
+        "items": items,
+        "next": (hasNext && items.length > 0) ?
+                getCursor(query, items[items.length - 1]) : null,
+        "previous": (hasPrevious && items.length > 0) ?
+                getCursor(query, items[0]) : null
+    };
+};
+
+/**
+ * Sets the number of rows fetched from the database at once when iterating
+ * over the result of this query. Defaults to 100.
+ * @param {Number} size The fetch size
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.fetchSize = function(size) {
+    this.setFetchSize(size);
+    return this;
+};
+
+/**
+ * Sets a result range for this query
+ * @param {Number} limit The result limit
+ * @param {Number} offset The result offset
+ * @returns The query
+ * @type Query
+ */
+Query.prototype.range = function(from, to) {
+    this.setOffset(from);
+    this.setLimit(to - from);
+    return this;
+};
+
+/**
+ * Returns the value passed as argument in a form suitable for binding it
+ * as statement parameter. Storable instances are converted into their ID.
+ * @param {Object} value The value
+ * @returns The parameter value
+ * @private
+ */
+var getParameterValue = function(value) {
+    if (value instanceof Storable) {
+        return value._id;
+    }
+    return value;
+};
+
+/**
+ * Returns the value passed as argument in a form suitable for filter objects.
+ * Storable instances are converted into their ID, dates into milliseconds.
+ * @param {Object} value The value
+ * @returns The filter value
+ * @private
+ */
+var getFilterValue = function(value) {
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    return getParameterValue(value);
+};
+
+/**
+ * Combines the filter objects passed as argument. If they don't share any
+ * property the result is a single object containing all properties, otherwise
+ * the filters are combined using "$and".
+ * @param {Array} filters The filter objects
+ * @returns The combined filter object
+ * @type Object
+ * @private
+ */
+var mergeFilters = function(filters) {
+    var result = {};
+    for each (var obj in filters) {
+        for (var key in obj) {
+            if (result.hasOwnProperty(key)) {
+                return {"$and": filters};
+            }
+            result[key] = obj[key];
+        }
+    }
+    return result;
+};
+
+/**
+ * Returns the "from" part of the query, including all joins registered
+ * in the query. Since joins are registered when resolving property paths,
+ * this must be called after all other parts of the query have been rendered.
+ * @param {Query} query The query
+ * @returns The "from" part of the query
+ * @type String
+ * @private
+ */
+var getSqlFrom = function(query) {
+    var sqlBuf = new java.lang.StringBuffer(" FROM ");
+    sqlBuf.append(query.mapping.getQualifiedTableName(query.store.dialect));
+    if (query.getAlias() !== null) {
+        sqlBuf.append(" ").append(query.getAlias());
+    }
+    query.joins.forEach(function(join) {
+        sqlBuf.append(join.toSql());
+    });
+    return sqlBuf.toString();
+};
+
+/**
+ * Returns the "where" part of the query
+ * @param {Query} query The query
+ * @param {Array} params The list of statement parameters
+ * @returns The "where" part of the query, or an empty string if the query
+ * doesn't contain any clauses
+ * @type String
+ * @private
+ */
+var getSqlWhere = function(query, params) {
+    var clauses = query.clauses;
+    var seek = query.getSeek();
+    if (seek !== null && seek.values !== null) {
+        clauses = clauses.concat(new SeekClause(query, seek.values, seek.forward));
+    }
+    if (clauses.length > 0) {
+        return " WHERE " + clauses.map(function(clause) {
+            return clause.toSql(params);
+        }).join(" " + AND + " ");
+    }
+    return "";
+};
+
+/**
+ * Returns the "order by" part of the query
+ * @param {Query} query The query
+ * @returns The "order by" part of the query, or an empty string if the query
+ * doesn't define any order
+ * @type String
+ * @private
+ */
+var getSqlOrder = function(query) {
+    var seek = query.getSeek();
+    if (seek !== null) {
+        return " ORDER BY " + getSeekOrders(query).map(function(order) {
+            return order.toSql(!seek.forward);
+        }).join(", ");
+    }
+    if (query.orders.length > 0) {
+        return " ORDER BY " + query.orders.map(function(order) {
+            return order.toSql();
+        }).join(", ");
+    }
+    return "";
+};
+
+/**
+ * Verifies that all keys the query is ordered by are part of the selected
+ * columns, as required by databases for "select distinct" statements
+ * @param {Query} query The query
+ * @param {Array} columns The selected columns, or null if all columns of
+ * the entity's table are selected
+ * @private
+ */
+var checkDistinctOrder = function(query, columns) {
+    var orders = (query.getSeek() !== null) ? getSeekOrders(query) : query.orders;
+    orders.forEach(function(order) {
+        var isSelected = false;
+        if (columns === null) {
+            isSelected = !order.ignoreCase && order.property.indexOf(".") < 0;
+        } else {
+            isSelected = columns.indexOf(order.getExpression()) > -1;
+        }
+        if (!isSelected) {
+            throw new Error("Distinct queries can only be ordered by selected " +
+                    "properties, '" + order.property + "' is not selected");
+        }
+    });
+    return;
+};
+
+/**
+ * Extends the SQL statement passed as argument with the offset and limit
+ * restrictions of the query
+ * @param {Query} query The query
+ * @param {String} sql The SQL statement
+ * @returns The SQL statement
+ * @type String
+ * @private
+ */
+var applyRange = function(query, sql) {
+    var dialect = query.store.dialect;
+    if (query.getOffset() > 0 && query.getLimit() !== 0) {
+        return dialect.getSqlRange(sql, query.getOffset(), query.getLimit());
+    } else if (query.getOffset() > 0) {
+        return dialect.getSqlOffset(sql, query.getOffset());
+    } else if (query.getLimit() !== 0) {
+        return dialect.getSqlLimit(sql, query.getLimit());
+    }
+    return sql;
+};
+
+/**
+ * Returns the "where" part of a bulk update or delete statement. If the
+ * query needs joins or defines a range the rows are selected using
+ * a subselect on a derived table, since some databases don't allow
+ * referencing the modified table in a subselect.
+ * @param {Query} query The query
+ * @param {Array} params The list of statement parameters
+ * @returns The "where" part of the statement
+ * @type String
+ * @private
+ */
+var getSqlBulkWhere = function(query, params) {
+    var dialect = query.store.dialect;
+    // rendering the clauses registers any joins needed
+    var whereParams = [];
+    var where = getSqlWhere(query, whereParams);
+    if (query.joins.length > 0 || query.getOffset() > 0 || query.getLimit() !== 0) {
+        var keyMappings = query.mapping.getKeyMappings();
+        var columns = keyMappings.map(function(keyMapping) {
+            return keyMapping.getQualifiedColumnName(dialect);
+        }).join(", ");
+        var sqlBuf = new java.lang.StringBuffer(" WHERE ");
+        if (keyMappings.length > 1) {
+            sqlBuf.append("(").append(columns).append(")");
+        } else {
+            sqlBuf.append(columns);
+        }
+        sqlBuf.append(" IN (SELECT ").append(keyMappings.map(function(keyMapping) {
+            return "t." + dialect.quote(keyMapping.column);
+        }).join(", "));
+        sqlBuf.append(" FROM (").append(query.toSql(null, params)).append(") t)");
+        return sqlBuf.toString();
+    }
+    Array.prototype.push.apply(params, whereParams);
+    return where;
+};
+
+/**
+ * Executes a bulk update or delete statement. Since the affected rows
+ * aren't known, all cached instances of the entity type are removed from
+ * the store's cache. Within a transaction the type is registered as bulk
+ * modified, so the cache is cleared again when the transaction is committed.
+ * @param {Query} query The query
+ * @param {String} sql The SQL statement
+ * @param {Array} params The list of statement parameters
+ * @param {Transaction} transaction Optional transaction
+ * @returns The number of affected rows
+ * @type Number
+ * @private
+ */
+var executeBulk = function(query, sql, params, transaction) {
+    var store = query.store;
+    transaction = transaction || store.getTransaction();
+    log.debug("Executing bulk statement:", sql);
+    var result = store.executeStatement(sql, params, transaction);
+    store.touchTable(query.type);
+    if (transaction != null && transaction.bulk.indexOf(query.type) < 0) {
+        transaction.bulk.push(query.type);
+    }
+    if (store.isCacheEnabled()) {
+        store.cache.removeType(query.type);
+    }
+    return result;
+};
+
+/**
+ * Returns a function converting the current row of a result set into a
+ * plain object
+ * @param {Store} store The store to operate on
+ * @param {Array} names The property names used as keys of the objects
+ * @param {Array} types The mapping type names of the columns
+ * @param {java.sql.ResultSet} resultSet The result set
+ * @returns A function returning the object of the current row
+ * @type Function
+ * @private
+ */
+var getRowReader = function(store, names, types, resultSet) {
+    var metaData = resultSet.getMetaData();
+    var columnNames = names.map(function(name, idx) {
+        return metaData.getColumnLabel(idx + 1);
+    });
+    var columnTypes = types.map(function(type) {
+        return store.dialect.getType(type);
+    });
+    return function() {
+        var row = {};
+        names.forEach(function(name, idx) {
+            row[name] = columnTypes[idx].get(resultSet, columnNames[idx], idx + 1);
+        });
+        return row;
+    };
+};
+
+/**
+ * Converts the rows of a result set into plain objects
+ * @param {Store} store The store to operate on
+ * @param {Array} names The property names used as keys of the objects
+ * @param {Array} types The mapping type names of the columns
+ * @param {java.sql.ResultSet} resultSet The result set
+ * @returns An array of objects
+ * @type Array
+ * @private
+ */
+var collectRows = function(store, names, types, resultSet) {
+    var reader = getRowReader(store, names, types, resultSet);
+    var result = [];
+    while (resultSet.next()) {
+        result.push(reader());
+    }
+    return result;
+};
+
+/**
+ * Returns the reader function for the result of the query
+ * @param {Query} query The query
+ * @param {String|Array} property Optional property name, array of property
+ * names or "*"
+ * @returns A function expecting a result set as argument, returning a
+ * function that converts the current row
+ * @type Function
+ * @private
+ */
+var getReader = function(query, property) {
+    var store = query.store;
+    if (property instanceof Array) {
+        var types = property.map(function(name) {
+            return query.resolveProperty(name).mapping.type;
+        });
+        return function(resultSet) {
+            return getRowReader(store, property, types, resultSet);
+        };
+    } else if (typeof(property) === "string" && property !== "*") {
+        // resolve the property, since it can be a path
+        var propMapping = query.resolveProperty(property).mapping;
+        return function(resultSet) {
+            var columnType = store.dialect.getType(propMapping.type);
+            return function() {
+                return columnType.get(resultSet, propMapping.column, 1);
+            };
+        };
+    }
+    return store.getReader(query.mapping, property);
+};
+
+/**
+ * Executes the query with a temporary result limit. Any limit defined
+ * in the query is restored afterwards.
+ * @param {Query} query The query
+ * @param {String} property Optional property name or "*"
+ * @param {Number} limit The result limit
+ * @returns The result array
+ * @type Array
+ * @private
+ */
+var selectWithLimit = function(query, property, limit) {
+    var queryLimit = query.getLimit();
+    try {
+        query.setLimit(limit);
+        return query.select(property);
+    } finally {
+        query.setLimit(queryLimit);
+    }
+};
+
+/**
+ * Executes the query and returns the result
+ * @param {Query} query The query
+ * @param {String|Array} property Optional property name, array of property
+ * names or "*"
+ * @param {java.sql.Connection} conn Optional connection to use
+ * @returns The result array
+ * @type Array
+ * @private
+ * @see Query#select
+ */
+var selectEntities = function(query, property, conn) {
+    var store = query.store;
+    var type = query.type;
+    checkLock(query);
+    var includes = null;
+    if (query.hasIncludes() && (property == null || property === "*")) {
+        includes = query.getIncludes();
+        property = "*";
+    }
+    var params = [];
+    var sql = applyLock(query, query.toSql(property, params));
+    var cacheKey = null;
+    var versions = null;
+    if (conn == null && isQueryCacheable(query, property)) {
+        cacheKey = getQueryCacheKey(sql, params);
+        var entry = store.queryCache.get(cacheKey);
+        if (entry != null && isValidCacheEntry(store, entry)) {
+            log.debug("Retrieving entities from query cache:", sql);
+            var entities = getCachedEntities(query, entry.ids, property);
+            if (includes !== null) {
+                fetchIncludes(store, type, entities, includes);
+            }
+            return entities;
+        }
+        // versions are determined before querying, so that concurrent
+        // modifications invalidate the entry
+        versions = {};
+        query.getEntityTypes().forEach(function(name) {
+            versions[name] = store.getTableVersion(name);
+        });
+    }
+    log.debug("Retrieving entities:", sql);
+    var reader = getReader(query, property);
+    var collector = function(resultSet) {
+        var read = reader(resultSet);
+        var result = [];
+        while (resultSet.next()) {
+            result.push(read());
+        }
+        return result;
+    };
+    var result = store.executeQuery(sql, params, collector, conn);
+    if (query.getSeek() !== null && !query.getSeek().forward) {
+        // rows preceding a cursor are selected in reverse order
+        result.reverse();
+    }
+    if (cacheKey !== null) {
+        store.queryCache.remove(cacheKey);
+        store.queryCache.put(cacheKey, {
+            "ids": result.map(function(entity) {
+                return entity._id;
+            }),
+            "versions": versions
+        });
+    }
+    if (includes !== null) {
+        fetchIncludes(store, type, result, includes);
+    }
+    return result;
+};
+
+/**
+ * Creates the lock options of a query
+ * @param {Boolean} shared True for a shared lock
+ * @param {Object} options The options passed to forUpdate() resp. forShare()
+ * @returns The lock options
+ * @type Object
+ * @private
+ */
+var createLock = function(shared, options) {
+    options = options || {};
+    var timeout = (options.timeout != null) ? options.timeout : null;
+    if (timeout !== null && (typeof(timeout) !== "number" || timeout < 0 || timeout % 1 !== 0)) {
+        throw new Error("Invalid lock timeout " + timeout);
+    } else if (timeout !== null && options.nowait === true) {
+        throw new Error("The options nowait and timeout are mutually exclusive");
+    }
+    return {
+        "shared": shared,
+        "nowait": options.nowait === true,
+        "timeout": timeout
+    };
+};
+
+/**
+ * Throws an error if the query locks rows but isn't executed within
+ * a transaction
+ * @param {Query} query The query
+ * @private
+ */
+var checkLock = function(query) {
+    if (query.getLock() !== null && query.store.getTransaction() == null) {
+        throw new Error("Locking rows requires an open transaction");
+    }
+    return;
+};
+
+/**
+ * Extends the SQL statement passed as argument with the row locking clause
+ * of the query, if it locks rows
+ * @param {Query} query The query
+ * @param {String} sql The SQL statement of the query
+ * @returns The SQL statement
+ * @type String
+ * @private
+ */
+var applyLock = function(query, sql) {
+    var lock = query.getLock();
+    if (lock === null) {
+        return sql;
+    }
+    var dialect = query.store.dialect;
+    if (query.isDistinct()) {
+        throw new Error("Rows of distinct queries can't be locked");
+    } else if (query.joins.length > 0) {
+        throw new Error("Rows of queries using property paths can't be locked");
+    } else if ((query.getOffset() > 0 || query.getLimit() !== 0) &&
+            !dialect.hasLockRangeSupport()) {
+        throw new Error("Locking rows of queries with offset or limit " +
+                "isn't supported by the database");
+    }
+    return dialect.getSqlLock(sql, lock);
+};
+
+/**
+ * Throws an error if the query locks rows, since aggregate functions
+ * can't be combined with row locks
+ * @param {Query} query The query
+ * @private
+ */
+var checkAggregateLock = function(query) {
+    if (query.getLock() !== null) {
+        throw new Error("Aggregate functions can't be used in queries locking rows");
+    }
+    return;
+};
+
+/**
+ * Validates the include path passed as argument
+ * @param {Query} query The query
+ * @param {String} path The property name or path
+ * @returns The property names of the path
+ * @type Array
+ * @private
+ */
+var getIncludePath = function(query, path) {
+    if (typeof(path) !== "string" || path.length < 1) {
+        throw new Error("Invalid include path '" + path + "'");
+    }
+    var mapping = query.mapping;
+    var names = path.split(".");
+    names.forEach(function(name) {
+        var propMapping = mapping.properties.hasOwnProperty(name) ?
+                mapping.properties[name] : null;
+        if (propMapping === null || propMapping.isPrimitive()) {
+            throw new Error("Property '" + name + "' of " + mapping.type +
+                    " in '" + path + "' is neither an object mapping nor a collection");
+        }
+        mapping = query.store.getEntityMapping(propMapping.entity);
+    });
+    return names;
+};
+
+/**
+ * Fetches the related entities and collections of the entities passed
+ * as argument
+ * @param {Store} store The store
+ * @param {String} type The entity type
+ * @param {Array} entities The entities
+ * @param {Object} includes The relations to fetch, as a tree of objects keyed
+ * by property names
+ * @private
+ */
+var fetchIncludes = function(store, type, entities, includes) {
+    if (entities.length < 1) {
+        return;
+    }
+    var mapping = store.getEntityMapping(type);
+    for (var name in includes) {
+        var propMapping = mapping.getMapping(name);
+        var related = null;
+        if (propMapping.isCollectionMapping()) {
+            related = fetchCollections(store, mapping, propMapping, entities);
+        } else {
+            related = fetchObjects(store, mapping, propMapping, entities);
+        }
+        fetchIncludes(store, propMapping.entity, related, includes[name]);
+    }
+    return;
+};
+
+/**
+ * Loads the entities referenced by the object mapping passed as argument,
+ * using one query per batch of entities. The loaded entities are put into
+ * the object cache.
+ * @param {Store} store The store
+ * @param {Mapping} mapping The mapping of the entities
+ * @param {ObjectMapping} propMapping The object mapping
+ * @param {Array} entities The entities
+ * @returns The referenced entities
+ * @type Array
+ * @private
+ */
+var fetchObjects = function(store, mapping, propMapping, entities) {
+    var ids = getUniqueValues(entities.map(function(entity) {
+        return entity._id;
+    }));
+    var result = [];
+    getBatches(ids).forEach(function(batch) {
+        // the ids of entities with a composite id are matched as row values
+        var subQuery = store.query(mapping.type).project(propMapping.name);
+        subQuery.clauses.push(new KeyClause(subQuery, batch));
+        var objects = store.query(propMapping.entity).equals("id", subQuery).select("*");
+        result.push.apply(result, objects);
+    });
+    return result;
+};
+
+/**
+ * Loads the entities of the collection passed as argument, using one query
+ * per batch of entities, and populates the collection of each entity.
+ * @param {Store} store The store
+ * @param {Mapping} mapping The mapping of the entities
+ * @param {CollectionMapping} propMapping The collection mapping
+ * @param {Array} entities The entities
+ * @returns The entities contained in the collections
+ * @type Array
+ * @private
+ */
+var fetchCollections = function(store, mapping, propMapping, entities) {
+    var createQuery = function() {
+        var query = store.query(propMapping.entity);
+        if (propMapping.orderBy !== null) {
+            query.orderBy(propMapping.orderBy);
+        }
+        return query;
+    };
+    if (propMapping.foreignProperty === null) {
+        // all collections contain all entities of the mapped type
+        var objects = createQuery().select("*");
+        entities.forEach(function(entity) {
+            entity[propMapping.name].preload(objects);
+        });
+        return objects;
+    }
+    var getLocalValue = function(entity) {
+        var value = (propMapping.localProperty === "id") ?
+                entity._id : entity[propMapping.localProperty];
+        return getParameterValue(value);
+    };
+    var values = getUniqueValues(entities.map(getLocalValue).filter(function(value) {
+        return value != null;
+    }));
+    var groups = {};
+    var result = [];
+    getBatches(values).forEach(function(batch) {
+        var query = createQuery().equals(propMapping.foreignProperty, batch);
+        selectWithValues(query, propMapping.foreignProperty).forEach(function(row) {
+            var key = String(row.value);
+            if (!groups.hasOwnProperty(key)) {
+                groups[key] = [];
+            }
+            groups[key].push(row.entity);
+            result.push(row.entity);
+        });
+    });
+    entities.forEach(function(entity) {
+        var value = getLocalValue(entity);
+        if (value != null) {
+            entity[propMapping.name].preload(groups[String(value)] || []);
+        }
+    });
+    return result;
+};
+
+/**
+ * Executes the query and returns the matching entities together with the
+ * value of the property passed as argument
+ * @param {Query} query The query
+ * @param {String} property The property name
+ * @returns An array of objects containing the properties "entity" and "value"
+ * @type Array
+ * @private
+ */
+var selectWithValues = function(query, property) {
+    var store = query.store;
+    var params = [];
+    var sql = query.toSql("*", params);
+    var propMapping = query.mapping.getMapping(property);
+    var columnType = store.dialect.getType(propMapping.type);
+    log.debug("Retrieving entities:", sql);
+    return store.executeQuery(sql, params, function(resultSet) {
+        var read = store.getReader(query.mapping)(resultSet);
+        var columnIdx = resultSet.findColumn(propMapping.column);
+        var result = [];
+        while (resultSet.next()) {
+            result.push({
+                "entity": read(),
+                "value": columnType.get(resultSet, propMapping.column, columnIdx)
+            });
+        }
+        return result;
+    });
+};
+
+/**
+ * Returns the values passed as argument without duplicates
+ * @param {Array} values The values
+ * @returns The unique values
+ * @type Array
+ * @private
+ */
+var getUniqueValues = function(values) {
+    var seen = {};
+    return values.filter(function(value) {
+        var key = String(value);
+        if (seen.hasOwnProperty(key)) {
+            return false;
+        }
+        return seen[key] = true;
+    });
+};
+
+/**
+ * Splits the values passed as argument into batches used as values of
+ * an "in" clause
+ * @param {Array} values The values
+ * @returns An array of batches
+ * @type Array
+ * @private
+ */
+var getBatches = function(values) {
+    var batches = [];
+    for (var i=0; i<values.length; i+=INCLUDE_BATCH_SIZE) {
+        batches.push(values.slice(i, i + INCLUDE_BATCH_SIZE));
+    }
+    return batches;
+};
+
+/**
+ * Returns true if the result of the query can be cached
+ * @param {Query} query The query
+ * @param {String|Array} property The property passed to select()
+ * @returns True if the result can be cached
+ * @type Boolean
+ * @private
+ */
+var isQueryCacheable = function(query, property) {
+    var store = query.store;
+    // without object cache every cached id would be loaded separately
+    return query.isCacheable() && store.isQueryCacheEnabled() &&
+            store.isCacheEnabled() && store.getTransaction() == null &&
+            (property == null || property === "*");
+};
+
+/**
+ * Returns the entities with the ids passed as argument, in the same order.
+ * Entities missing in the object cache are loaded using one query per batch
+ * of ids, ids of entities that don't exist anymore are skipped.
+ * @param {Query} query The query
+ * @param {Array} ids The ids of the entities
+ * @param {String} property Optional property name ("*" to load the
+ * entities aggressively)
+ * @returns The entities
+ * @type Array
+ * @private
+ */
+var getCachedEntities = function(query, ids, property) {
+    var store = query.store;
+    var type = query.type;
+    var entities = {};
+    var missing = [];
+    ids.forEach(function(id) {
+        var cacheKey = Cache.createKey(type, id);
+        var entity = store.cache.get(cacheKey);
+        if (entity != null) {
+            entities[cacheKey] = entity;
+        } else {
+            missing.push(id);
+        }
+    });
+    selectByIds(store, type, missing, property).forEach(function(entity) {
+        entities[Cache.createKey(type, entity._id)] = entity;
+    });
+    return ids.map(function(id) {
+        return entities[Cache.createKey(type, id)] || null;
+    }).filter(function(entity) {
+        return entity !== null;
+    });
+};
+
+/**
+ * Selects the entities with the ids passed as argument, using one query
+ * per batch of ids. Note that the order of the result is undefined.
+ * @param {Store} store The store
+ * @param {String} type The entity type
+ * @param {Array} ids The ids of the entities
+ * @param {String} property Optional property name or "*" (see select())
+ * @returns The entities
+ * @type Array
+ * @private
+ */
+var selectByIds = function(store, type, ids, property) {
+    var result = [];
+    getBatches(ids).forEach(function(batch) {
+        var query = store.query(type);
+        query.clauses.push(new KeyClause(query, batch));
+        result.push.apply(result, query.select(property));
+    });
+    return result;
+};
+
+/**
+ * Returns the key of the query cache entry for the SQL statement and
+ * parameters passed as arguments
+ * @param {String} sql The SQL statement
+ * @param {Array} params The statement parameters
+ * @returns The cache key
+ * @type String
+ * @private
+ */
+var getQueryCacheKey = function(sql, params) {
+    return sql + " " + JSON.stringify(params.map(function(param) {
+        var value = param.value;
+        if (value instanceof Date) {
+            value = value.getTime();
+        }
+        return [param.type, value];
+    }));
+};
+
+/**
+ * Returns true if none of the tables the cache entry depends on has been
+ * modified since the entry has been created
+ * @param {Store} store The store
+ * @param {Object} entry The query cache entry
+ * @returns True if the cache entry is valid
+ * @type Boolean
+ * @private
+ */
+var isValidCacheEntry = function(store, entry) {
+    for (var type in entry.versions) {
+        if (store.getTableVersion(type) !== entry.versions[type]) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Executes an aggregate function on the entities matching the query and
+ * returns the result
+ * @param {Query} query The query
+ * @param {String} func The name of the aggregate function
+ * @param {String} property The property name. If null or undefined the
+ * aggregate function is applied to all rows.
+ * @param {String} type Optional type name used to convert the result. Defaults
+ * to the column type of the property.
+ * @param {java.sql.Connection} conn Optional connection to use
+ * @returns The result of the aggregate function
+ * @private
+ */
+var selectAggregate = function(query, func, property, type, conn) {
+    checkAggregateLock(query);
+    var store = query.store;
+    var params = [];
+    var sqlBuf = new java.lang.StringBuffer("SELECT ");
+    sqlBuf.append(func).append("(");
+    if (property == null) {
+        sqlBuf.append("*");
+    } else {
+        var column = query.resolveProperty(property);
+        sqlBuf.append(column.column);
+        type = type || column.mapping.type;
+    }
+    sqlBuf.append(")");
+    var where = getSqlWhere(query, params);
+    sqlBuf.append(getSqlFrom(query)).append(where);
+    var sql = sqlBuf.toString();
+    log.debug("Retrieving aggregate:", sql);
+    var columnType = store.dialect.getType(type);
+    return store.executeQuery(sql, params, function(resultSet) {
+        if (!resultSet.next()) {
+            return null;
+        }
+        var columnName = resultSet.getMetaData().getColumnLabel(1);
+        return columnType.get(resultSet, columnName, 1);
+    }, conn);
+};
+
+/**
+ * Parses the order-by expression passed as argument
+ * @param {String} expression The order-by expression
+ * @returns An array containing an object for each key of the expression,
+ * with the properties "property", "order", "nulls" and "ignoreCase"
+ * @type Array
+ * @private
+ */
+var parseOrderExpression = function(expression) {
+    if (typeof(expression) !== "string" || expression.trim().length < 1) {
+        throw new Error("Invalid order expression '" + expression + "'");
+    }
+    return expression.split(",").map(function(part) {
+        var match = part.trim().match(/^(?:(lower)\s*\(\s*([\w.]+)\s*\)|([\w.]+))(?:\s+(asc|ascending|desc|descending))?(?:\s+nulls\s+(first|last))?$/i);
+        if (match === null) {
+            throw new Error("Invalid order expression '" + expression + "'");
+        }
+        var order = ORDER_ASC;
+        if (match[4] && match[4].toLowerCase().indexOf(ORDER_DESC) === 0) {
+            order = ORDER_DESC;
+        }
+        return {
+            "property": match[2] || match[3],
+            "order": order,
+            "nulls": match[5] ? match[5].toLowerCase() : null,
+            "ignoreCase": match[1] !== undefined && match[1] !== ""
+        };
+    });
+};
+
+/**
+ * Returns the order clauses defining the keyset position of the query,
+ * which are the order clauses of the query followed by the id resp. the
+ * properties of a composite id (unless the query is already ordered by them)
+ * @param {Query} query The query
+ * @returns An array of order clauses
+ * @type Array
+ * @private
+ */
+var getSeekOrders = function(query) {
+    var orders = query.orders.slice();
+    query.mapping.getKeyMappings().forEach(function(keyMapping) {
+        if (!orders.some(function(order) {
+            return order.property === keyMapping.name;
+        })) {
+            orders.push(new OrderClause(query, keyMapping.name, ORDER_ASC));
+        }
+    });
+    return orders;
+};
+
+/**
+ * Returns the cursor pointing at the entity passed as argument
+ * @param {Query} query The query
+ * @param {Storable} entity The entity
+ * @returns The cursor
+ * @type String
+ * @private
+ */
+var getCursor = function(query, entity) {
+    var values = getSeekOrders(query).map(function(order) {
+        var value = order.property.split(".").reduce(function(obj, name) {
+            if (obj == null) {
+                return null;
+            }
+            return (name === "id") ? obj._id : obj[name];
+        }, entity);
+        if (value instanceof Storable) {
+            return value._id;
+        } else if (value instanceof Date) {
+            return value.getTime();
+        } else if (order.ignoreCase === true && typeof(value) === "string") {
+            return value.toLowerCase();
+        }
+        return value;
+    });
+    return base64.encode(JSON.stringify(values));
+};
+
+/**
+ * Decodes the cursor passed as argument
+ * @param {String} cursor The cursor
+ * @returns An array containing the values of the cursor, or null if the
+ * cursor is null
+ * @type Array
+ * @private
+ */
+var decodeCursor = function(cursor) {
+    if (cursor == null) {
+        return null;
+    }
+    var values = null;
+    try {
+        values = JSON.parse(base64.decode(cursor));
+    } catch (e) {
+        // handled below
+    }
+    if (!(values instanceof Array)) {
+        throw new Error("Invalid cursor " + cursor);
+    }
+    return values;
+};
+
+/**
+ * Escapes the wildcard characters and the escape character itself in the
+ * string passed as argument
+ * @param {String} str The string to escape
+ * @returns The escaped string
+ * @type String
+ * @private
+ */
+var escapePattern = function(str) {
+    return String(str).replace(/[\\%_]/g, "\\$&");
+};
+
+/**
+ * Converts the arguments passed to one of the logical combinators into
+ * an array of clauses, one for each argument
+ * @param {Query} query The query to add the combined clause to
+ * @param {Arguments} args The arguments, each one either a query or a builder
+ * function receiving a newly created query as argument
+ * @returns An array containing the clauses
+ * @type Array
+ * @private
+ */
+var getGroupClauses = function(query, args) {
+    if (args.length < 1) {
+        throw new Error("Logical clauses need at least one query or function as argument");
+    }
+    return Array.prototype.map.call(args, function(arg) {
+        var subQuery = arg;
+        if (typeof(arg) === "function") {
+            subQuery = new Query(query.store, query.type);
+            arg.call(subQuery, subQuery);
+        } else if (!(arg instanceof Query)) {
+            throw new Error("Expected a query or function, got " + arg);
+        } else if (arg.type !== query.type) {
+            throw new Error("Can't combine a query for " + arg.type +
+                    " with a query for " + query.type);
+        }
+        if (subQuery.clauses.length < 1) {
+            throw new Error("Query passed to logical clause doesn't contain any clauses");
+        }
+        subQuery.setOwner(query);
+        if (subQuery.clauses.length === 1) {
+            return subQuery.clauses[0];
+        }
+        return new LogicalClause(AND, subQuery.clauses.slice());
+    });
+};
+
+/**
+ * Creates a new logical clause
+ * @class Instances of this class combine a list of clauses using
+ * either "and" or "or"
+ * @param {String} operator The logical operator ("AND" or "OR")
+ * @param {Array} clauses The clauses to combine
+ * @returns A newly created LogicalClause instance
+ * @constructor
+ * @private
+ */
+var LogicalClause = function(operator, clauses) {
+
+    /**
+     * Returns the SQL fragment of this clause, enclosed in parenthesis
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        return "(" + clauses.map(function(clause) {
+            return clause.toSql(params);
+        }).join(" " + operator + " ") + ")";
+    };
+
+    /**
+     * Returns the filter object representing this clause
+     * @returns The filter object
+     * @type Object
+     */
+    this.toFilter = function() {
+        var filters = clauses.map(function(clause) {
+            return clause.toFilter();
+        });
+        if (operator === OR) {
+            return {"$or": filters};
+        }
+        return mergeFilters(filters);
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new negating clause
+ * @class Instances of this class negate the clause they wrap
+ * @param {Object} clause The clause to negate
+ * @returns A newly created NotClause instance
+ * @constructor
+ * @private
+ */
+var NotClause = function(clause) {
+
+    /**
+     * Returns the SQL fragment of this clause
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        return "NOT " + clause.toSql(params);
+    };
+
+    /**
+     * Returns the filter object representing this clause
+     * @returns The filter object
+     * @type Object
+     */
+    this.toFilter = function() {
+        return {"$not": clause.toFilter()};
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new operator clause
+ * @class Instances of this class represent an operator clause
+ * @param {Query} query The query this clause belongs to
+ * @param {String} operator The operator
+ * @param {String} property The name of the property
+ * @param {Object} value The value. If it's a storable instance, it's id is used as value
+ * @returns A newly created OperatorClause instance
+ * @constructor
+ * @private
+ */
+var OperatorClause = function(query, operator, property, value) {
+
+    /**
+     * Returns the SQL fragment of this clause. The value is added to the
+     * parameter list passed as argument, the SQL fragment contains a
+     * placeholder instead.
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        var column = query.resolveProperty(property);
+        var propMapping = column.mapping;
+        var columnName = column.column;
+        params.push({
+            "type": propMapping.type,
+            "value": getParameterValue(value)
+        });
+        return columnName + " " + operator + " ?";
+    };
+
+    /**
+     * Returns the filter object representing this clause
+     * @returns The filter object
+     * @type Object
+     */
+    this.toFilter = function() {
+        var filter = {};
+        if (operator === EQUAL) {
+            filter[property] = getFilterValue(value);
+        } else {
+            filter[property] = {};
+            filter[property][FILTER_OPERATORS[operator]] = getFilterValue(value);
+        }
+        return filter;
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new "where in"-clause
+ * @class Instances of this class represent a "where column in (...)" clause
+ * @param {Query} query The query this clause belongs to
+ * @param {String} property The name of the property
+ * @param {Array|Query} value An array of values or a sub query. The array can
+ * contain storable instances as values, in which case the id of the storables
+ * are used as values
+ * @param {Boolean} negate If true this clause is a "not in"-clause
+ * @returns A newly created InClause instance
+ * @constructor
+ * @private
+ */
+var InClause = function(query, property, value, negate) {
+
+    /**
+     * Returns the SQL fragment of this clause. The values are added to the
+     * parameter list passed as argument, the SQL fragment contains
+     * placeholders instead.
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        var column = query.resolveProperty(property);
+        var propMapping = column.mapping;
+        var columnName = column.column;
+        if (value instanceof Array && value.length < 1) {
+            // an empty list of values never matches, thus the negated
+            // clause always does
+            return negate === true ? "1 = 1" : "1 = 0";
+        }
+        var sqlBuf = new java.lang.StringBuffer(columnName);
+        sqlBuf.append(negate === true ? " not in (" : " in (");
+        if (value instanceof Query) {
+            value.setParent(query);
+            return sqlBuf.append(value.toSql(value.getProjection(), params))
+                    .append(")").toString();
+        }
+        sqlBuf.append(value.map(function(val) {
+            params.push({
+                "type": propMapping.type,
+                "value": getParameterValue(val)
+            });
+            return "?";
+        }).join(", "));
+        sqlBuf.append(")");
+        return sqlBuf.toString();
+    };
+
+    /**
+     * Returns the filter object representing this clause
+     * @returns The filter object
+     * @type Object
+     */
+    this.toFilter = function() {
+        if (value instanceof Query) {
+            throw new Error("Clauses using a sub query can't be converted into a filter");
+        }
+        var filter = {};
+        filter[property] = {};
+        filter[property][negate === true ? "$nin" : "$in"] = value.map(getFilterValue);
+        return filter;
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new "is null"-clause
+ * @class Instances of this class represent a "where column is [not] null" clause
+ * @param {Query} query The query this clause belongs to
+ * @param {String} property The name of the property
+ * @param {Boolean} negate If true this clause is an "is not null"-clause
+ * @returns A newly created NullClause instance
+ * @constructor
+ * @private
+ */
+var NullClause = function(query, property, negate) {
+
+    /**
+     * Returns the SQL fragment of this clause
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        var columnName = query.resolveProperty(property).column;
+        return columnName + (negate === true ? " IS NOT NULL" : " IS NULL");
+    };
+
+    /**
+     * Returns the filter object representing this clause
+     * @returns The filter object
+     * @type Object
+     */
+    this.toFilter = function() {
+        var filter = {};
+        filter[property] = (negate === true) ? {"$ne": null} : null;
+        return filter;
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new "exists"-clause
+ * @class Instances of this class represent a "where exists (...)" clause
+ * @param {Query} query The query this clause belongs to
+ * @param {Query} subQuery The sub query
+ * @param {Boolean} negate If true this clause is a "not exists"-clause
+ * @returns A newly created ExistsClause instance
+ * @constructor
+ * @private
+ */
+var ExistsClause = function(query, subQuery, negate) {
+
+    if (!(subQuery instanceof Query)) {
+        throw new Error("Expected a query, got " + subQuery);
+    }
+
+    /**
+     * Returns the SQL fragment of this clause. The parameters of the sub
+     * query are added to the parameter list passed as argument.
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        subQuery.setParent(query);
+        return (negate === true ? "NOT EXISTS (" : "EXISTS (") +
+                subQuery.toSql(null, params) + ")";
+    };
+
+    /**
+     * Returns the filter object representing this clause
+     * @returns The filter object
+     * @type Object
+     */
+    this.toFilter = function() {
+        throw new Error("Clauses using a sub query can't be converted into a filter");
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new correlation clause
+ * @class Instances of this class represent a clause comparing a column of
+ * a sub query with a column of the enclosing query
+ * @param {Query} query The sub query this clause belongs to
+ * @param {String} property The name of the property of the sub query
+ * @param {String} outerProperty The name of the property of the enclosing query
+ * @returns A newly created CorrelationClause instance
+ * @constructor
+ * @private
+ */
+var CorrelationClause = function(query, property, outerProperty) {
+
+    /**
+     * Returns the SQL fragment of this clause
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        var parent = query.getParent();
+        if (parent === null) {
+            throw new Error("Correlated query for " + query.type +
+                    " isn't used as sub query");
+        }
+        return query.resolveProperty(property).column + " " + EQUAL + " " +
+                parent.resolveProperty(outerProperty).column;
+    };
+
+    /**
+     * Returns the filter object representing this clause
+     * @returns The filter object
+     * @type Object
+     */
+    this.toFilter = function() {
+        throw new Error("Correlation clauses can't be converted into a filter");
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new keyset clause
+ * @class Instances of this class restrict the query to the rows following
+ * (resp. preceding) a keyset position
+ * @param {Query} query The query this clause belongs to
+ * @param {Array} values The values of the order-by properties of the position
+ * @param {Boolean} forward If true the clause selects the rows following the
+ * position, otherwise the ones preceding it
+ * @returns A newly created SeekClause instance
+ * @constructor
+ * @private
+ */
+var SeekClause = function(query, values, forward) {
+
+    /**
+     * Returns the SQL fragment of this clause. For order-by properties
+     * (a, b) this is "(a > ? OR (a = ? AND b > ?))". The values are added
+     * to the parameter list passed as argument.
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        var orders = getSeekOrders(query);
+        if (orders.length !== values.length) {
+            throw new Error("Cursor doesn't match the order of the query");
+        }
+        var columns = orders.map(function(order) {
+            if (order.nulls !== null) {
+                throw new Error("Keyset pagination doesn't support nulls placement");
+            }
+            return query.resolveProperty(order.property);
+        });
+        var terms = orders.map(function(order, idx) {
+            var conditions = [];
+            for (var i=0; i<=idx; i+=1) {
+                var operator = EQUAL;
+                if (i === idx) {
+                    var isDescending = (orders[i].order === ORDER_DESC);
+                    operator = (isDescending === forward) ? LESS_THAN : GREATER_THAN;
+                }
+                conditions.push(orders[i].getExpression() + " " + operator + " ?");
+                params.push({
+                    "type": columns[i].mapping.type,
+                    "value": getCursorValue(columns[i].mapping, values[i])
+                });
+            }
+            if (conditions.length > 1) {
+                return "(" + conditions.join(" " + AND + " ") + ")";
+            }
+            return conditions[0];
+        });
+        return "(" + terms.join(" " + OR + " ") + ")";
+    };
+
+    return this;
+};
+
+/**
+ * Converts a value contained in a cursor into the statement parameter value
+ * @param {Object} propMapping The property mapping
+ * @param {Object} value The cursor value
+ * @returns The parameter value
+ * @private
+ */
+var getCursorValue = function(propMapping, value) {
+    switch (propMapping.type) {
+        case "date":
+        case "time":
+        case "timestamp":
+            return (value !== null) ? new Date(value) : null;
+        default:
+            return value;
+    }
+};
+
+/**
+ * Creates a new key clause
+ * @class Instances of this class represent a "where id in (values)" clause.
+ * For entities with a composite id the key columns are compared as row
+ * values, eg. "where (a, b) in ((?, ?), (?, ?))".
+ * @param {Query} query The query this clause belongs to
+ * @param {Array} ids The ids to match. The ids of entities with a composite
+ * id are arrays containing the values of the key properties.
+ * @returns A newly created KeyClause instance
+ * @constructor
+ * @private
+ */
+var KeyClause = function(query, ids) {
+
+    /**
+     * Returns the SQL fragment of this clause. The values are added to the
+     * parameter list passed as argument, the SQL fragment contains
+     * placeholders instead.
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        if (ids.length < 1) {
+            return "1 = 0";
+        }
+        var keyMappings = query.mapping.getKeyMappings();
+        var isComposite = query.mapping.id.isComposite();
+        var columns = keyMappings.map(function(keyMapping) {
+            return query.resolveProperty(keyMapping.name).column;
+        });
+        var sqlBuf = new java.lang.StringBuffer();
+        if (isComposite) {
+            sqlBuf.append("(").append(columns.join(", ")).append(")");
+        } else {
+            sqlBuf.append(columns[0]);
+        }
+        sqlBuf.append(" IN (");
+        sqlBuf.append(ids.map(function(id) {
+            var placeholders = (isComposite ? id : [id]).map(function(value, idx) {
+                params.push({
+                    "type": keyMappings[idx].type,
+                    "value": getParameterValue(value)
+                });
+                return "?";
+            }).join(", ");
+            return isComposite ? "(" + placeholders + ")" : placeholders;
+        }).join(", "));
+        sqlBuf.append(")");
+        return sqlBuf.toString();
+    };
+
+    /**
+     * Key clauses can't be converted into filter objects
+     * @throws Error
+     */
+    this.toFilter = function() {
+        throw new Error("Key clauses can't be converted into a filter");
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new SQL fragment clause
+ * @class Instances of this class represent a raw SQL fragment
+ * @param {Query} query The query this clause belongs to
+ * @param {String} sql The SQL fragment, containing property names in curly
+ * braces as column placeholders
+ * @param {Array} values The parameter values
+ * @returns A newly created SqlClause instance
+ * @constructor
+ * @private
+ */
+var SqlClause = function(query, sql, values) {
+
+    if (typeof(sql) !== "string" || sql.trim().length < 1) {
+        throw new Error("Missing or empty SQL fragment");
+    } else if (!(values instanceof Array)) {
+        throw new Error("Parameters of a SQL fragment must be an array");
+    }
+
+    /**
+     * Returns the SQL fragment of this clause, enclosed in parenthesis. The
+     * property placeholders are replaced with column names, the values are
+     * added to the parameter list passed as argument.
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        var fragment = sql.replace(/\{([\w.]+)\}/g, function(match, property) {
+            return query.resolveProperty(property).column;
+        });
+        values.forEach(function(value) {
+            params.push({
+                "type": sqlUtils.getParameterType(value),
+                "value": getParameterValue(value)
+            });
+        });
+        return "(" + fragment + ")";
+    };
+
+    /**
+     * Throws an error, since SQL fragments can't be represented in filter objects
+     */
+    this.toFilter = function() {
+        throw new Error("SQL fragments can't be converted into a filter");
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new "between"-clause
+ * @class Instances of this class represent a "where column between x and y" clause
+ * @param {Query} query The query this clause belongs to
+ * @param {String} property The name of the property
+ * @param {Object} from The lower bound of the range
+ * @param {Object} to The upper bound of the range
+ * @returns A newly created BetweenClause instance
+ * @constructor
+ * @private
+ */
+var BetweenClause = function(query, property, from, to) {
+
+    /**
+     * Returns the SQL fragment of this clause. Both range values are added
+     * to the parameter list passed as argument.
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        var column = query.resolveProperty(property);
+        var propMapping = column.mapping;
+        var columnName = column.column;
+        params.push({
+            "type": propMapping.type,
+            "value": getParameterValue(from)
+        }, {
+            "type": propMapping.type,
+            "value": getParameterValue(to)
+        });
+        return columnName + " BETWEEN ? AND ?";
+    };
+
+    /**
+     * Returns the filter object representing this clause
+     * @returns The filter object
+     * @type Object
+     */
+    this.toFilter = function() {
+        var filter = {};
+        filter[property] = {"$between": [getFilterValue(from), getFilterValue(to)]};
+        return filter;
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new "like"-clause
+ * @class Instances of this class represent a pattern matching clause
+ * @param {Query} query The query this clause belongs to
+ * @param {String} property The name of the property
+ * @param {String} pattern The pattern
+ * @param {Boolean} ignoreCase If true the pattern is matched case-insensitive
+ * @returns A newly created LikeClause instance
+ * @constructor
+ * @private
+ */
+var LikeClause = function(query, property, pattern, ignoreCase) {
+
+    /**
+     * Returns the SQL fragment of this clause. The SQL is generated by the
+     * dialect of the store, the pattern is added to the parameter list
+     * passed as argument.
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        var columnName = query.resolveProperty(property).column;
+        params.push({
+            "type": "string",
+            "value": pattern
+        });
+        return query.store.dialect.getSqlLike(columnName, ignoreCase);
+    };
+
+    /**
+     * Returns the filter object representing this clause
+     * @returns The filter object
+     * @type Object
+     */
+    this.toFilter = function() {
+        var filter = {};
+        filter[property] = {};
+        filter[property][ignoreCase === true ? "$ilike" : "$like"] = pattern;
+        return filter;
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new aggregate expression
+ * @class Instances of this class represent either a property or an aggregate
+ * function applied to a property, as used in the projections and having
+ * clauses of aggregate queries
+ * @param {Query} query The query this expression belongs to
+ * @param {String} expression The expression, eg. "author", "count(id)" or
+ * "sum(price) as total"
+ * @returns A newly created AggregateExpression instance
+ * @constructor
+ * @private
+ */
+var AggregateExpression = function(query, expression) {
+    var match = AggregateExpression.PATTERN.exec(expression);
+    if (match === null) {
+        throw new Error("Invalid aggregate expression '" + expression + "'");
+    }
+    var func = (match[1] != null) ? match[1].toUpperCase() : null;
+    var property = (func !== null) ? match[2] : match[3];
+    var column = null;
+    var type = null;
+    if (property === "*") {
+        if (func !== "COUNT") {
+            throw new Error("Invalid aggregate expression '" + expression + "'");
+        }
+    } else {
+        column = query.resolveProperty(property);
+        type = column.mapping.type;
+    }
+    if (func === "COUNT") {
+        type = "long";
+    } else if (func === "AVG") {
+        type = "double";
+    }
+
+    /**
+     * The name of this expression, which is either the alias, the property
+     * name or the lower cased aggregate expression
+     * @type String
+     */
+    Object.defineProperty(this, "name", {
+        "value": match[4] || ((func !== null) ?
+                func.toLowerCase() + "(" + property + ")" : property)
+    });
+
+    /**
+     * The type used to convert the values of this expression
+     * @type String
+     */
+    Object.defineProperty(this, "type", {
+        "value": type
+    });
+
+    /**
+     * Returns the SQL fragment of this expression
+     * @returns The SQL fragment
+     * @type String
+     */
     this.toSql = function() {
-        var propMapping = query.mapping.getMapping(property);
-        var columnName = propMapping.getQualifiedColumnName(query.store.dialect);
-        return columnName + " " + order;
+        var columnName = (column !== null) ? column.column : "*";
+        if (func !== null) {
+            return func + "(" + columnName + ")";
+        }
+        return columnName;
     };
-    
+
+    return this;
+};
+
+/**
+ * The pattern used to parse aggregate expressions
+ * @type RegExp
+ * @private
+ */
+AggregateExpression.PATTERN = /^\s*(?:(count|sum|avg|min|max)\s*\(\s*(\*|[\w.]+)\s*\)|([\w.]+))(?:\s+as\s+(\w+))?\s*$/i;
+
+/**
+ * Creates a new "having"-clause
+ * @class Instances of this class represent a clause restricting the
+ * result rows of an aggregate query
+ * @param {Query} query The query this clause belongs to
+ * @param {String} expression The property name or aggregate expression
+ * @param {String} operator The operator
+ * @param {Object} value The value
+ * @returns A newly created HavingClause instance
+ * @constructor
+ * @private
+ */
+var HavingClause = function(query, expression, operator, value) {
+    var aggregate = new AggregateExpression(query, expression);
+    if (operator === "!=") {
+        operator = NOT_EQUAL;
+    }
+    if ([EQUAL, NOT_EQUAL, GREATER_THAN, GREATER_THAN_OR_EQUALS,
+            LESS_THAN, LESS_THAN_OR_EQUALS].indexOf(operator) < 0) {
+        throw new Error("Invalid operator '" + operator + "'");
+    }
+
+    /**
+     * Returns the SQL fragment of this clause
+     * @param {Array} params The list of statement parameters
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(params) {
+        params.push({
+            "type": aggregate.type,
+            "value": getParameterValue(value)
+        });
+        return aggregate.toSql() + " " + operator + " ?";
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new join
+ * @class Instances of this class represent a join of the table of the entity
+ * referenced by an object mapping
+ * @param {Query} query The query this join belongs to
+ * @param {ObjectMapping} objMapping The object mapping to join
+ * @param {String} parentAlias The alias of the joined table containing the
+ * object mapping column, or null if it's the table of the queried entity
+ * @param {String} alias The alias of the joined table
+ * @returns A newly created Join instance
+ * @constructor
+ * @private
+ */
+var Join = function(query, objMapping, parentAlias, alias) {
+
+    /**
+     * The mapping of the joined entity
+     * @type Mapping
+     */
+    Object.defineProperty(this, "mapping", {
+        "value": query.store.getEntityMapping(objMapping.entity)
+    });
+
+    /**
+     * The alias of the joined table
+     * @type String
+     */
+    Object.defineProperty(this, "alias", {
+        "value": alias
+    });
+
+    /**
+     * Returns the SQL fragment of this join. Since object mappings can be
+     * null this is always a left outer join.
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function() {
+        var dialect = query.store.dialect;
+        var localColumn = null;
+        if (parentAlias !== null) {
+            localColumn = parentAlias + "." + dialect.quote(objMapping.column);
+        } else {
+            localColumn = objMapping.getQualifiedColumnName(dialect);
+        }
+        var foreignMapping = this.mapping.getMapping(objMapping.foreignProperty);
+        return " LEFT OUTER JOIN " + this.mapping.getQualifiedTableName(dialect) +
+                " " + alias + " ON " + localColumn + " = " + alias + "." +
+                dialect.quote(foreignMapping.column);
+    };
+
+    return this;
+};
+
+/**
+ * Creates a new order clause
+ * @class Instances of this class represent a single key of an order-by clause
+ * @param {Query} query The query this clause belongs to
+ * @param {String} property The name of the property
+ * @param {String} order The order ("asc" or "desc")
+ * @param {String} nulls Optional placement of null values ("first" or "last")
+ * @param {Boolean} ignoreCase If true the values are sorted case-insensitive
+ * @returns A newly created OrderClause instance
+ * @constructor
+ * @private
+ */
+var OrderClause = function(query, property, order, nulls, ignoreCase) {
+
+    /**
+     * The name of the property
+     * @type String
+     */
+    Object.defineProperty(this, "property", {
+        "value": property
+    });
+
+    /**
+     * The order ("asc" or "desc")
+     * @type String
+     */
+    Object.defineProperty(this, "order", {
+        "value": order
+    });
+
+    /**
+     * The placement of null values ("first" or "last"), or null if the
+     * default placement of the database should be used
+     * @type String
+     */
+    Object.defineProperty(this, "nulls", {
+        "value": nulls || null
+    });
+
+    /**
+     * True if the values are sorted case-insensitive
+     * @type Boolean
+     */
+    Object.defineProperty(this, "ignoreCase", {
+        "value": ignoreCase === true
+    });
+
+    /**
+     * Returns the SQL expression the values are sorted by
+     * @returns The SQL expression
+     * @type String
+     */
+    this.getExpression = function() {
+        var column = query.resolveProperty(property).column;
+        if (ignoreCase === true) {
+            return "LOWER(" + column + ")";
+        }
+        return column;
+    };
+
+    /**
+     * Returns the SQL fragment of this order clause
+     * @param {Boolean} reverse If true the order (and the placement of null
+     * values) is reversed
+     * @returns The SQL fragment
+     * @type String
+     */
+    this.toSql = function(reverse) {
+        var direction = order;
+        var placement = nulls || null;
+        if (reverse === true) {
+            direction = (order === ORDER_DESC) ? ORDER_ASC : ORDER_DESC;
+            if (placement !== null) {
+                placement = (placement === NULLS_FIRST) ? NULLS_LAST : NULLS_FIRST;
+            }
+        }
+        return query.store.dialect.getSqlOrder(this.getExpression(), direction, placement);
+    };
+
     return this;
 };
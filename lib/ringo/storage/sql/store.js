@@ -7,6 +7,7 @@ var Transaction = require("./transaction").Transaction;
 var Mapping = require("./mapping").Mapping;
 var ConnectionPool = require("./connectionpool").ConnectionPool;
 var Query = require("./query").Query;
+var parser = require("./parser");
 var Cache = require("./cache").Cache;
 var {Collection, PartitionedCollection} = require("./collection");
 var sqlUtils = require("ringo/storage/sql/util");
@@ -49,48 +50,144 @@ function isEntity(value) {
 }
 
 /**
- * Converts a java.sql.ResultSet instance into an array of entities
+ * Binds the parameters passed as argument to the prepared statement
+ * @param {Store} store The store to operate on
+ * @param {java.sql.PreparedStatement} statement The prepared statement
+ * @param {Array} parameters An array containing the parameters. Each parameter
+ * is an object containing the column type and the value to bind.
+ */
+function setParameters(store, statement, parameters) {
+    parameters.forEach(function(param, idx) {
+        if (param.value === undefined || param.value === null) {
+            statement.setNull(idx + 1, java.sql.Types.NULL);
+        } else {
+            var columnType = store.dialect.getType(param.type);
+            columnType.set(statement, param.value, idx + 1);
+        }
+    });
+    return;
+}
+
+/**
+ * Returns the SQL condition matching the row of an entity by its primary key
+ * @param {Dialect} dialect The database dialect
+ * @param {Mapping} mapping The entity mapping
+ * @returns The SQL condition, using "?" as placeholders for the id values
+ * @type String
+ */
+function getSqlKeyCondition(dialect, mapping) {
+    return mapping.getKeyMappings().map(function(keyMapping) {
+        return keyMapping.getQualifiedColumnName(dialect) + " = ?";
+    }).join(" AND ");
+}
+
+/**
+ * Returns the statement parameters for the condition returned by
+ * getSqlKeyCondition()
+ * @param {Mapping} mapping The entity mapping
+ * @param {Number|Array} id The id, which is an array for composite ids
+ * @returns An array of statement parameters
+ * @type Array
+ */
+function getKeyParameters(mapping, id) {
+    var keyMappings = mapping.getKeyMappings();
+    var values = mapping.id.isComposite() ? id : [id];
+    if (!(values instanceof Array) || values.length !== keyMappings.length) {
+        throw new Error("Invalid id " + JSON.stringify(id) + " of " + mapping.type);
+    }
+    return keyMappings.map(function(keyMapping, idx) {
+        return {
+            "type": keyMapping.type,
+            "value": values[idx]
+        };
+    });
+}
+
+/**
+ * Validates the id assigned by the application against the type of the id
+ * mapping passed as argument
+ * @param {Mapping} mapping The entity mapping
+ * @param {Object} id The assigned id
+ * @returns The id, or null if no id has been assigned
+ * @type Number|String
+ */
+function getAssignedId(mapping, id) {
+    if (id === undefined || id === null) {
+        return null;
+    }
+    var isValid = (mapping.id.type === "string") ?
+            (typeof(id) === "string" && id.length > 0) :
+            (typeof(id) === "number" && id % 1 === 0);
+    if (!isValid) {
+        throw new Error("Invalid id " + JSON.stringify(id) + " of " + mapping.type);
+    }
+    return id;
+}
+
+/**
+ * Returns a function converting the current row of the result set
+ * passed as argument into an entity
  * @param {Store} store The store to operate on
  * @param {Mapping} mapping The mapping to use
  * @param {java.sql.ResultSet} resultSet The query result set
- * @returns An array of entities
- * @type Array
+ * @returns A function returning the entity of the current row
+ * @type Function
  */
-function collectEntities(store, mapping, resultSet) {
+function getEntityReader(store, mapping, resultSet) {
     var metaData = resultSet.getMetaData();
     var columnCount = metaData.getColumnCount();
-    var idColumnName = mapping.id.column;
-    var idColumnIdx = resultSet.findColumn(idColumnName);
-    var idColumnType = store.dialect.getType(mapping.id.type);
-    var result = [];
-    while (resultSet.next()) {
+    var keyColumns = mapping.getKeyMappings().map(function(keyMapping) {
+        return {
+            "name": keyMapping.column,
+            "index": resultSet.findColumn(keyMapping.column),
+            "type": store.dialect.getType(keyMapping.type)
+        };
+    });
+    var readKeyColumn = function(keyColumn) {
+        return keyColumn.type.get(resultSet, keyColumn.name, keyColumn.index);
+    };
+    // entity data is only read if the result set contains all mapped
+    // columns, otherwise the entity is created without data and loaded
+    // lazily when accessed (eg. for results of custom SQL queries)
+    var dataColumns = {};
+    var dataColumnCount = 0;
+    for (var i=1; i<=columnCount; i+=1) {
+        var columnName = metaData.getColumnName(i);
+        var propMapping = mapping.columns[columnName];
+        if (propMapping == null || propMapping.isCollectionMapping()) {
+            // unmapped column, ignore
+            continue;
+        }
+        if (!dataColumns.hasOwnProperty(columnName)) {
+            dataColumnCount += 1;
+        }
+        dataColumns[columnName] = {
+            "index": i,
+            "type": store.dialect.getType(propMapping.type)
+        };
+    }
+    var isComplete = dataColumnCount > 0 &&
+            dataColumnCount === Object.keys(mapping.properties).filter(function(name) {
+                return !mapping.properties[name].isCollectionMapping();
+            }).length;
+    return function() {
         // first fetch id from result set and do a cache lookup
-        var id = idColumnType.get(resultSet, idColumnName, idColumnIdx);
+        var id = mapping.id.isComposite() ?
+                keyColumns.map(readKeyColumn) : readKeyColumn(keyColumns[0]);
         if (store.isCacheEnabled()) {
             var cacheKey = Cache.createKey(mapping.type, id);
             if (store.cache.containsKey(cacheKey)) {
-                result.push(store.cache.get(cacheKey));
-                continue;
+                return store.cache.get(cacheKey);
             }
         }
         // cache miss, read entity values and create instance
         var key = new Key(mapping.type, id);
         var entity = null;
-        if (columnCount > 1) {
+        if (isComplete) {
             entity = {};
-            entity[idColumnName] = id;
-            for (var i=1; i<=columnCount; i+=1) {
-                if (i === idColumnIdx) {
-                    continue;
-                }
-                var columnName = metaData.getColumnName(i);
-                var propMapping = mapping.columns[columnName];
-                if (propMapping == null) {
-                    // unmapped column, ignore
-                    continue;
-                }
-                var columnType = store.dialect.getType(propMapping.type);
-                entity[columnName] = columnType.get(resultSet, columnName, i);
+            for (var columnName in dataColumns) {
+                var column = dataColumns[columnName];
+                entity[columnName] = column.type.get(resultSet, columnName, column.index);
             }
             Object.defineProperty(entity, "_key", {
                 "value": key
@@ -100,7 +197,41 @@ function collectEntities(store, mapping, resultSet) {
         if (store.isCacheEnabled()) {
             store.cache.put(cacheKey, instance);
         }
-        result.push(instance);
+        return instance;
+    };
+}
+
+/**
+ * Returns a function returning the value of the given property contained
+ * in the current row of the result set passed as argument
+ * @param {Store} store The store to operate on
+ * @param {Mapping} mapping The mapping to use
+ * @param {java.sql.ResultSet} resultSet The query result set
+ * @param {String} property The name of the property
+ * @returns A function returning the property value of the current row
+ * @type Function
+ */
+function getPropertyReader(store, mapping, resultSet, property) {
+    var propMapping = mapping.getMapping(property);
+    var columnType = store.dialect.getType(propMapping.type);
+    return function() {
+        return columnType.get(resultSet, propMapping.column, 1);
+    };
+}
+
+/**
+ * Converts a java.sql.ResultSet instance into an array of entities
+ * @param {Store} store The store to operate on
+ * @param {Mapping} mapping The mapping to use
+ * @param {java.sql.ResultSet} resultSet The query result set
+ * @returns An array of entities
+ * @type Array
+ */
+function collectEntities(store, mapping, resultSet) {
+    var reader = getEntityReader(store, mapping, resultSet);
+    var result = [];
+    while (resultSet.next()) {
+        result.push(reader());
     }
     return result;
 }
@@ -115,15 +246,43 @@ function collectEntities(store, mapping, resultSet) {
  * @type Array
  */
 function collectProperties(store, mapping, resultSet, property) {
-    var propMapping = mapping.getMapping(property);
-    var columnType = store.dialect.getType(propMapping.type);
+    var reader = getPropertyReader(store, mapping, resultSet, property);
     var result = [];
     while (resultSet.next()) {
-        result.push(columnType.get(resultSet, propMapping.column, 1));
+        result.push(reader());
     }
     return result;
 };
 
+/**
+ * Converts a java.sql.ResultSet instance into an array of plain objects,
+ * using the column labels as property names. The values are converted
+ * using the data type registered for the JDBC type of each column.
+ * @param {Store} store The store to operate on
+ * @param {java.sql.ResultSet} resultSet The query result set
+ * @returns An array of objects
+ * @type Array
+ */
+function collectRows(store, resultSet) {
+    var metaData = resultSet.getMetaData();
+    var columnCount = metaData.getColumnCount();
+    var columnNames = [];
+    var dataTypes = [];
+    for (var i=1; i<=columnCount; i+=1) {
+        columnNames.push(metaData.getColumnLabel(i));
+        dataTypes.push(store.dialect.getJdbcType(metaData.getColumnType(i)));
+    }
+    var result = [];
+    while (resultSet.next()) {
+        var row = {};
+        columnNames.forEach(function(columnName, idx) {
+            row[columnName] = dataTypes[idx].get(resultSet, columnName, idx + 1);
+        });
+        result.push(row);
+    }
+    return result;
+}
+
 /**
  * Converts a java.sql.ResultSet instance into an array of entity data objects
  * @param {Store} store The store to operate on
@@ -150,7 +309,7 @@ function collectEntityData(store, mapping, resultSet) {
         }
         // store the key in the entity - this is needed by getProperties method
         Object.defineProperty(entityData, "_key", {
-            "value": new Key(mapping.type, entityData[mapping.id.column])
+            "value": new Key(mapping.type, mapping.getKeyValue(entityData))
         });
         result.push(entityData);
     }
@@ -169,13 +328,21 @@ function collectEntityData(store, mapping, resultSet) {
 var Store = function(props, opts) {
     var options = objects.clone(opts, {
         "maxConnections": 10,
-        "cacheSize": 1000
+        "cacheSize": 1000,
+        "queryCacheSize": 100
     });
     var dialect = null;
     var entityRegistry = {};
+    // mappings whose tables haven't been created yet because they
+    // reference entities that aren't defined
+    var pendingMappings = [];
     var connectionPool = new ConnectionPool(props, options.maxConnections);
     var store = this;
     var cache = (options.cacheSize > 0) ? new Cache(options.cacheSize) : null;
+    // the query cache only contains ids, so it depends on the object cache
+    var queryCache = (cache !== null && options.queryCacheSize > 0) ?
+            new Cache(options.queryCacheSize) : null;
+    var tableVersions = new java.util.concurrent.ConcurrentHashMap();
 
     /**
      * Contains the database dialect implementation of this store
@@ -196,6 +363,12 @@ var Store = function(props, opts) {
      */
     Object.defineProperty(this, "cache", {"value": cache});
 
+    /**
+     * Contains the query cache of this store
+     * @type Cache
+     */
+    Object.defineProperty(this, "queryCache", {"value": queryCache});
+
     /**
      * Contains the connection pool of this store
      * @type ConnectionPool
@@ -214,7 +387,46 @@ var Store = function(props, opts) {
     };
 
     /**
-     * Defines an entity within this store
+     * Returns true if all entities referenced by object mappings of the
+     * mapping passed as argument are defined
+     * @param {Mapping} mapping The mapping
+     * @returns True if the referenced entities are defined
+     * @type Boolean
+     * @private
+     */
+    var isResolvable = function(mapping) {
+        for each (var propMapping in mapping.properties) {
+            if (propMapping.isObjectMapping() &&
+                    !entityRegistry.hasOwnProperty(propMapping.entity)) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    /**
+     * Creates the table (and sequence) of the mapping passed as argument
+     * if it doesn't exist already
+     * @param {java.sql.Connection} conn The connection to use
+     * @param {Mapping} mapping The mapping
+     * @private
+     */
+    var createTable = function(conn, mapping) {
+        var schemaName = mapping.schemaName || store.dialect.getDefaultSchema(conn);
+        if (sqlUtils.tableExists(conn, mapping.tableName, schemaName) === false) {
+            store.createTable(conn, store.dialect, mapping);
+            if (mapping.id.hasSequence() && store.dialect.hasSequenceSupport()) {
+                sqlUtils.createSequence(conn, store.dialect, mapping.schemaName, mapping.id.sequence);
+            }
+        } else {
+            // TODO: update table
+        }
+    };
+
+    /**
+     * Defines an entity within this store. The table of the entity is created
+     * as soon as all entities referenced by its object mappings are defined,
+     * so entities referencing each other can be defined in any order.
      * @param {String} type The name of the entity constructor
      * @param {Object} mapping The database mapping object, defining the ID column
      * and all (optionally mapped) properties of the entity instances
@@ -224,7 +436,7 @@ var Store = function(props, opts) {
     this.defineEntity = function(type, mapping) {
         var ctor = entityRegistry[type];
         if (!ctor) {
-            var m = new Mapping(type, mapping);
+            var m = new Mapping(type, mapping, this);
             ctor = entityRegistry[type] = Storable.defineEntity(this, type, m);
             ctor.get = function(id, aggressive) {
                 return store.get(type, id, aggressive);
@@ -235,18 +447,18 @@ var Store = function(props, opts) {
             ctor.query = function() {
                 return store.query(type);
             };
-            // create the table if it doesn't exist already
+            // create the tables of all mappings whose referenced entities are
+            // defined, so the column types of their object mappings are known
+            pendingMappings.push(m);
             var conn = this.getConnection();
             try {
-                var schemaName = m.schemaName || this.dialect.getDefaultSchema(conn);
-                if (sqlUtils.tableExists(conn, m.tableName, schemaName) === false) {
-                    this.createTable(conn, this.dialect, m);
-                    if (m.id.hasSequence() && this.dialect.hasSequenceSupport()) {
-                        sqlUtils.createSequence(conn, this.dialect, m.schemaName, m.id.sequence);
+                pendingMappings = pendingMappings.filter(function(mapping) {
+                    if (!isResolvable(mapping)) {
+                        return true;
                     }
-                } else {
-                    // TODO: update table
-                }
+                    createTable(conn, mapping);
+                    return false;
+                });
             } finally {
                 sqlUtils.close(conn);
             }
@@ -268,6 +480,16 @@ var Store = function(props, opts) {
         return ctor;
     };
 
+    /**
+     * Returns true if an entity with the given type name is defined
+     * @param {String} type The name of the entity
+     * @returns True if the entity is defined
+     * @type Boolean
+     */
+    this.isEntityDefined = function(type) {
+        return entityRegistry[type] != null;
+    };
+
     /**
      * Creates a new transaction object and returns it. Note that this transaction
      * is not bound to the calling thread.
@@ -286,6 +508,42 @@ var Store = function(props, opts) {
     this.isCacheEnabled = function() {
         return cache !== null;
     };
+
+    /**
+     * Returns true if the query cache of this store is enabled
+     * @returns True if the query cache is enabled
+     * @type Boolean
+     */
+    this.isQueryCacheEnabled = function() {
+        return queryCache !== null;
+    };
+
+    /**
+     * Returns the modification counter of the table the given entity type
+     * is stored in. Cached query results are only valid as long as the
+     * counters of all tables involved are unchanged.
+     * @param {String} type The entity type
+     * @returns The modification counter
+     * @type Number
+     */
+    this.getTableVersion = function(type) {
+        var tableName = this.getEntityMapping(type).getQualifiedTableName(this.dialect);
+        var version = tableVersions.get(tableName);
+        return (version != null) ? version.get() : 0;
+    };
+
+    /**
+     * Increments the modification counter of the table the given entity
+     * type is stored in, which invalidates all cached query results
+     * involving this table.
+     * @param {String} type The entity type
+     */
+    this.touchTable = function(type) {
+        var tableName = this.getEntityMapping(type).getQualifiedTableName(this.dialect);
+        tableVersions.putIfAbsent(tableName, new java.util.concurrent.atomic.AtomicLong());
+        tableVersions.get(tableName).incrementAndGet();
+        return;
+    };
     
     return this;
 };
@@ -320,6 +578,27 @@ Store.prototype.getCollector = function(mapping, property) {
     };
 };
 
+/**
+ * Returns a reader function
+ * @param {Mapping} mapping The mapping to use
+ * @param {String} property An optional property name
+ * @returns A function expecting a java.sql.ResultSet instance as single
+ * argument, which returns a function converting the current row of the
+ * result set into a property value or an entity
+ * @type Function
+ */
+Store.prototype.getReader = function(mapping, property) {
+    var store = this;
+    if (typeof(property) === "string" && property !== "*") {
+        return function(resultSet) {
+            return getPropertyReader(store, mapping, resultSet, property);
+        };
+    }
+    return function(resultSet) {
+        return getEntityReader(store, mapping, resultSet);
+    };
+};
+
 /**
  * Determines the database dialect to use
  * @returns The database dialect
@@ -361,8 +640,10 @@ Store.prototype.determineDialect = function() {
  */
 Store.prototype.createTable = function(conn, dialect, mapping) {
     // create table
-    var columns = [mapping.id];
-    var primaryKeys = [mapping.id.column];
+    var columns = mapping.id.isComposite() ? [] : [mapping.id];
+    var primaryKeys = mapping.getKeyMappings().map(function(keyMapping) {
+        return keyMapping.column;
+    });
     for each (var propMapping in mapping.properties) {
         // ignore collection mappings
         if (propMapping.isCollectionMapping()) {
@@ -380,34 +661,203 @@ Store.prototype.createTable = function(conn, dialect, mapping) {
 /**
  * Queries the database using the given sql statement, and returns the result
  * @param {String} sql The SQL statement to execute
+ * @param {Array} parameters An array containing the statement parameters. Each
+ * parameter is an object containing the column type and the value.
  * @param {Collector} collector The collector to extract result set data
+ * @param {java.sql.Connection} connection Optional connection to use. If
+ * given the connection is left open.
  * @returns The result of the database query, where each result is an object
  * containing the column names with their values
  * @type Array
  */
-Store.prototype.executeQuery = function(sql, collectorFunc) {
+Store.prototype.executeQuery = function(sql, parameters, collectorFunc, connection) {
     var conn = null;
     var statement = null;
     var resultSet = null;
     try {
-        conn = this.getConnection();
+        conn = connection || this.getConnection();
         // switch non-transaction connections into read-only mode
         if (conn.getAutoCommit() && !conn.isReadOnly()) {
             conn.setReadOnly(true);
         }
         log.debug("Executing query", sql);
-        statement = conn.createStatement();
-        resultSet = statement.executeQuery(sql);
+        statement = conn.prepareStatement(sql);
+        setParameters(this, statement, parameters);
+        resultSet = statement.executeQuery();
         return collectorFunc(resultSet);
     } finally {
         sqlUtils.close(resultSet);
         sqlUtils.close(statement);
-        if (conn != null && conn.getAutoCommit()) {
+        if (connection == null && conn != null && conn.getAutoCommit()) {
             sqlUtils.close(conn);
         }
     }
 };
 
+/**
+ * Calls the function passed as argument with a connection that can be used
+ * to execute several queries seeing the same database state. If a transaction
+ * is bound to the current thread its connection is used as it is, otherwise a
+ * read-only connection with autocommit disabled and the isolation level
+ * raised to repeatable read (or serializable if the database doesn't support
+ * repeatable read), which is restored and released afterwards.
+ * @param {Function} func The function to call, receiving the connection
+ * as argument
+ * @returns The return value of the function
+ */
+Store.prototype.withReadConnection = function(func) {
+    var conn = this.getConnection();
+    var autoCommit = false;
+    var isolation = null;
+    try {
+        autoCommit = conn.getAutoCommit();
+        if (autoCommit) {
+            if (!conn.isReadOnly()) {
+                conn.setReadOnly(true);
+            }
+            isolation = conn.getTransactionIsolation();
+            if (isolation < java.sql.Connection.TRANSACTION_REPEATABLE_READ) {
+                var metaData = conn.getMetaData();
+                conn.setTransactionIsolation(metaData.supportsTransactionIsolationLevel(
+                        java.sql.Connection.TRANSACTION_REPEATABLE_READ) ?
+                        java.sql.Connection.TRANSACTION_REPEATABLE_READ :
+                        java.sql.Connection.TRANSACTION_SERIALIZABLE);
+            }
+            conn.setAutoCommit(false);
+        }
+        return func(conn);
+    } finally {
+        if (autoCommit) {
+            try {
+                conn.rollback();
+                conn.setAutoCommit(true);
+                if (isolation !== null && isolation !== conn.getTransactionIsolation()) {
+                    conn.setTransactionIsolation(isolation);
+                }
+            } finally {
+                sqlUtils.close(conn);
+            }
+        }
+    }
+};
+
+/**
+ * Executes a query and returns an iterator over its result. Contrary to
+ * executeQuery() the result set is read row by row using the fetch size
+ * passed as argument, so the result is never held in memory as a whole. The
+ * connection, statement and result set are closed as soon as the iterator
+ * is exhausted, if reading a row throws an exception, or if close() is
+ * called on the iterator.
+ * @param {String} sql The SQL query
+ * @param {Array} parameters An array containing the statement parameters
+ * @param {Function} readerFunc A function expecting the result set as
+ * argument, returning a function that converts the current row
+ * @param {Number} fetchSize The number of rows fetched from the database at once
+ * @returns The iterator
+ * @type ResultIterator
+ */
+Store.prototype.iterateQuery = function(sql, parameters, readerFunc, fetchSize) {
+    var conn = null;
+    var statement = null;
+    var resultSet = null;
+    var autoCommit = false;
+    var close = function() {
+        try {
+            sqlUtils.close(resultSet);
+            sqlUtils.close(statement);
+        } finally {
+            if (conn != null && autoCommit) {
+                try {
+                    conn.rollback();
+                    conn.setAutoCommit(true);
+                } finally {
+                    sqlUtils.close(conn);
+                }
+            }
+        }
+    };
+    try {
+        conn = this.getConnection();
+        autoCommit = conn.getAutoCommit();
+        if (autoCommit) {
+            // some drivers only use cursors if autocommit is disabled
+            if (!conn.isReadOnly()) {
+                conn.setReadOnly(true);
+            }
+            conn.setAutoCommit(false);
+        }
+        log.debug("Executing streaming query", sql);
+        statement = conn.prepareStatement(sql, java.sql.ResultSet.TYPE_FORWARD_ONLY,
+                java.sql.ResultSet.CONCUR_READ_ONLY);
+        statement.setFetchSize(this.dialect.getFetchSize(fetchSize, !autoCommit));
+        setParameters(this, statement, parameters);
+        resultSet = statement.executeQuery();
+        return new ResultIterator(resultSet, readerFunc(resultSet), close);
+    } catch (e) {
+        close();
+        throw e;
+    }
+};
+
+/**
+ * Returns the execution plan of the SQL statement passed as argument. If the
+ * database stores the plan in a table, the statement is explained without
+ * binding the parameters, and the plan is removed from the table afterwards.
+ * @param {String} sql The SQL statement
+ * @param {Array} parameters An array containing the statement parameters
+ * @returns An array of objects, each one containing the columns of a row
+ * of the execution plan. The columns differ between databases.
+ * @type Array
+ */
+Store.prototype.explain = function(sql, parameters) {
+    var store = this;
+    var statementId = "ringo" + java.lang.Long.toHexString(java.lang.System.nanoTime());
+    var explainSql = this.dialect.getSqlExplain(sql, statementId);
+    var planSql = this.dialect.getSqlExplainPlan(statementId);
+    var collector = function(resultSet) {
+        return collectRows(store, resultSet);
+    };
+    log.debug("Explaining query", sql);
+    if (planSql === null) {
+        return this.executeQuery(explainSql, parameters, collector);
+    }
+    var conn = null;
+    var statement = null;
+    var autoCommit = false;
+    try {
+        conn = this.getConnection();
+        autoCommit = conn.getAutoCommit();
+        if (autoCommit) {
+            if (conn.isReadOnly()) {
+                conn.setReadOnly(false);
+            }
+            conn.setAutoCommit(false);
+        }
+        statement = conn.createStatement();
+        statement.execute(explainSql);
+        return this.executeQuery(planSql, [], collector, conn);
+    } finally {
+        try {
+            // within a transaction the plan would be committed together
+            // with the modifications of the transaction
+            var removeSql = this.dialect.getSqlExplainRemove(statementId);
+            if (statement != null && removeSql !== null) {
+                statement.executeUpdate(removeSql);
+            }
+        } finally {
+            sqlUtils.close(statement);
+            if (conn != null && autoCommit) {
+                try {
+                    conn.rollback();
+                    conn.setAutoCommit(true);
+                } finally {
+                    sqlUtils.close(conn);
+                }
+            }
+        }
+    }
+};
+
 /**
  * Executes a data manipulating statement (insert/update)
  * @param {String} sql The SQL statement
@@ -417,6 +867,24 @@ Store.prototype.executeQuery = function(sql, collectorFunc) {
  * @returns The result as received from the database
  */
 Store.prototype.executeUpdate = function(sql, columns, values, transaction) {
+    return this.executeStatement(sql, columns.map(function(column, idx) {
+        return {
+            "type": column.type,
+            "value": values[idx]
+        };
+    }), transaction);
+};
+
+/**
+ * Executes a data manipulating statement (insert/update/delete)
+ * @param {String} sql The SQL statement
+ * @param {Array} parameters An array containing the statement parameters. Each
+ * parameter is an object containing the column type and the value.
+ * @param {Transaction} transaction Optional transaction
+ * @returns The number of affected rows
+ * @type Number
+ */
+Store.prototype.executeStatement = function(sql, parameters, transaction) {
     var conn = null;
     var statement = null;
     try {
@@ -425,18 +893,8 @@ Store.prototype.executeUpdate = function(sql, columns, values, transaction) {
             conn.setReadOnly(false);
         }
         statement = conn.prepareStatement(sql);
-        columns.forEach(function(column, idx) {
-            var value = values[idx];
-            if (value === undefined || value === null) {
-                statement.setNull(idx + 1, java.sql.Types.NULL);
-            } else {
-                var columnType = this.dialect.getType(column.type);
-                columnType.set(statement, value, idx + 1);
-            }
-        }, this);
+        setParameters(this, statement, parameters);
         return statement.executeUpdate();
-    } catch (e) {
-        throw e;
     } finally {
         sqlUtils.close(statement);
         if (conn != null && conn.getAutoCommit()) {
@@ -446,15 +904,21 @@ Store.prototype.executeUpdate = function(sql, columns, values, transaction) {
 };
 
 /**
- * Generates a new id for the given type, by either using a defined sequence
- * or incrementing the max-ID from the table for the given type.
+ * Generates a new id for the given type, by either creating a random UUID,
+ * using a defined sequence or incrementing the max-ID from the table for
+ * the given type.
  * @param {String} type The type to return the next unused id for
  * @param {String} transaction Optional transaction
  * @returns The next unused id
- * @type Number
+ * @type Number|String
  */
 Store.prototype.generateId = function(type, transaction) {
     var mapping = this.getEntityMapping(type);
+    if (mapping.id.isComposite()) {
+        throw new Error("Composite ids of " + type + " can't be generated");
+    } else if (mapping.id.isUuid()) {
+        return String(java.util.UUID.randomUUID());
+    }
     var sqlBuf = new java.lang.StringBuffer();
     var offset = 0;
     if (mapping.id.hasSequence() && this.dialect.hasSequenceSupport()) {
@@ -573,7 +1037,7 @@ Store.prototype.remove = function(key, transaction) {
     var mapping = this.getEntityMapping(key.type);
     var sqlBuf = new java.lang.StringBuffer("DELETE FROM ");
     sqlBuf.append(mapping.getQualifiedTableName(this.dialect)).append(" WHERE ");
-    sqlBuf.append(this.dialect.quote(mapping.id.column)).append(" = ?");
+    sqlBuf.append(getSqlKeyCondition(this.dialect, mapping));
     // execute delete
     log.debug("Deleting", key, sqlBuf.toString());
     var conn = null;
@@ -584,8 +1048,9 @@ Store.prototype.remove = function(key, transaction) {
             conn.setReadOnly(false);
         }
         statement = conn.prepareStatement(sqlBuf.toString());
-        this.dialect.getType("long").set(statement, key.id, 1);
+        setParameters(this, statement, getKeyParameters(mapping, key.id));
         var result = statement.executeUpdate();
+        this.touchTable(key.type);
         if (transaction != null) {
             transaction.deleted.push(key);
         }
@@ -616,6 +1081,9 @@ Store.prototype.updateEntity = function(properties, entity) {
     var mapping = this.getEntityMapping(entity._key.type);
     if (entity._key === undefined || !entity._key.isPersistent()) {
         isNew = true;
+        if (mapping.id.isAssigned() && !mapping.id.isComposite()) {
+            entity[mapping.id.column] = getAssignedId(mapping, properties[mapping.id.name]);
+        }
     }
     for each (var propMapping in mapping.properties) {
         // ignore collections
@@ -652,12 +1120,31 @@ Store.prototype.insert = function(entity, transaction) {
     var valuesBuf = new java.lang.StringBuffer(") VALUES (");
     sqlBuf.append(mapping.getQualifiedTableName(this.dialect)).append(" (");
     
-    // id column
-    var nextId = this.generateId(entity._key.type, transaction);
-    sqlBuf.append(this.dialect.quote(mapping.id.column));
-    valuesBuf.append("?");
-    columns.push(mapping.id);
-    values.push(nextId);
+    var nextId = null;
+    if (mapping.id.isComposite()) {
+        // the id consists of the values of the key properties
+        nextId = mapping.getKeyValue(entity);
+        if (nextId.some(function(value) {
+            return value === null || value === undefined;
+        })) {
+            throw new Error("All properties of the composite id of " +
+                    entity._key.type + " must be set");
+        }
+    } else {
+        // id column
+        if (mapping.id.isAssigned()) {
+            nextId = entity[mapping.id.column];
+            if (nextId === null || nextId === undefined) {
+                throw new Error("The id of " + entity._key.type + " must be assigned");
+            }
+        } else {
+            nextId = this.generateId(entity._key.type, transaction);
+        }
+        sqlBuf.append(this.dialect.quote(mapping.id.column));
+        valuesBuf.append("?");
+        columns.push(mapping.id);
+        values.push(nextId);
+    }
 
     // collect properties
     for each (var propMapping in mapping.properties) {
@@ -686,6 +1173,7 @@ Store.prototype.insert = function(entity, transaction) {
     var result = this.executeUpdate(sqlBuf.toString(), columns, values, transaction);
     // update the entity key
     entity._key.id = nextId;
+    this.touchTable(entity._key.type);
     if (transaction != null) {
         transaction.inserted.push(entity._key);
     }
@@ -717,13 +1205,21 @@ Store.prototype.update = function(entity, transaction) {
         columns.push(propMapping);
         values.push(entity[propMapping.column]);
     }
+    if (mapping.id.isComposite() &&
+            !this.equalKeys(entity._key, new Key(entity._key.type, mapping.getKeyValue(entity)))) {
+        throw new Error("The composite id of " + entity._key + " can't be changed");
+    }
     sqlBuf.append(" WHERE ");
-    sqlBuf.append(mapping.id.getQualifiedColumnName(this.dialect));
-    sqlBuf.append(" = ").append(entity._key.id);
+    sqlBuf.append(getSqlKeyCondition(this.dialect, mapping));
+    getKeyParameters(mapping, entity._key.id).forEach(function(param) {
+        columns.push(param);
+        values.push(param.value);
+    });
 
     // execute update
     log.debug("Updating", entity._key, sqlBuf.toString());
     var result = this.executeUpdate(sqlBuf.toString(), columns, values, transaction);
+    this.touchTable(entity._key.type);
     if (transaction != null) {
         transaction.updated.push(entity._key);
     }
@@ -802,12 +1298,11 @@ Store.prototype.loadEntity = function(type, id) {
     var mapping = this.getEntityMapping(type);
     var sqlBuf = new java.lang.StringBuffer("SELECT * FROM ");
     sqlBuf.append(mapping.getQualifiedTableName(this.dialect)).append(" WHERE ");
-    sqlBuf.append(mapping.id.getQualifiedColumnName(this.dialect));
-    sqlBuf.append(" = ").append(id.toString());
+    sqlBuf.append(getSqlKeyCondition(this.dialect, mapping));
     log.debug("Loading entity:", sqlBuf.toString());
-    // TODO: use preparedStatement
     var store = this;
-    var entities = this.executeQuery(sqlBuf.toString(), function(resultSet) {
+    var params = getKeyParameters(mapping, id);
+    var entities = this.executeQuery(sqlBuf.toString(), params, function(resultSet) {
         return collectEntityData(store, mapping, resultSet);
     });
     if (entities.length > 1) {
@@ -828,20 +1323,23 @@ Store.prototype.loadEntity = function(type, id) {
 Store.prototype.isEntityExisting = function(type, id) {
     var mapping = this.getEntityMapping(type);
     var sqlBuf = new java.lang.StringBuffer("SELECT ");
-    sqlBuf.append(mapping.id.getQualifiedColumnName(this.dialect)).append(" FROM ");
+    sqlBuf.append(mapping.getKeyMappings()[0].getQualifiedColumnName(this.dialect));
+    sqlBuf.append(" FROM ");
     sqlBuf.append(mapping.getQualifiedTableName(this.dialect)).append(" WHERE ");
-    sqlBuf.append(mapping.id.getQualifiedColumnName(this.dialect));
-    sqlBuf.append(" = ").append(id.toString());
+    sqlBuf.append(getSqlKeyCondition(this.dialect, mapping));
     log.debug("Checking entity:", sqlBuf.toString());
-    // TODO: use preparedStatement
-    var store = this;
-    var result = this.executeQuery(sqlBuf.toString(), function(resultSet) {
-        return collectProperties(store, mapping, resultSet, mapping.id.name);
+    var params = getKeyParameters(mapping, id);
+    var count = this.executeQuery(sqlBuf.toString(), params, function(resultSet) {
+        var rows = 0;
+        while (resultSet.next()) {
+            rows += 1;
+        }
+        return rows;
     });
-    if (result.length > 1) {
+    if (count > 1) {
         throw new Error("Multiple rows returned by query " + sqlBuf.toString());
     }
-    return result.length === 1;
+    return count === 1;
 };
 
 /**
@@ -906,6 +1404,56 @@ Store.prototype.query = function(type) {
     return new Query(this, type);
 };
 
+/**
+ * Executes the query string passed as argument and returns the result. See
+ * the parser module for a description of the query language.
+ * @param {String} queryStr The query string, eg. "from Book where author = :author"
+ * @param {Object} params Optional object containing the values of the named
+ * parameters used in the query string
+ * @returns The result array containing either values or entities matching the query
+ * @type Array
+ * @see parser#parse
+ */
+Store.prototype.find = function(queryStr, params) {
+    var statement = parser.parse(queryStr);
+    var query = parser.compile(this, statement, params);
+    return query.select(statement.property);
+};
+
+/**
+ * Executes the SQL query passed as argument. If an entity type is given, the
+ * result set must contain the id column of the entity, and the result
+ * is an array of entities (loaded with the values of all mapped columns
+ * contained in the result set). Otherwise this method returns an array
+ * of plain objects using the column labels as property names.
+ * @param {String} sql The SQL query, using "?" as parameter placeholders
+ * @param {Array} params Optional array of parameter values. The column types
+ * used for binding are derived from the values, storables are bound using
+ * their id.
+ * @param {String} type Optional entity type
+ * @returns The result array containing either entities or objects
+ * @type Array
+ */
+Store.prototype.sqlQuery = function(sql, params, type) {
+    var store = this;
+    var parameters = (params || []).map(function(value) {
+        return {
+            "type": sqlUtils.getParameterType(value),
+            "value": isStorable(value) ? value._id : value
+        };
+    });
+    var collector = null;
+    if (type != null) {
+        collector = this.getCollector(this.getEntityMapping(type));
+    } else {
+        collector = function(resultSet) {
+            return collectRows(store, resultSet);
+        };
+    }
+    log.debug("Executing SQL query:", sql);
+    return this.executeQuery(sql, parameters, collector);
+};
+
 /**
  * Loads an entity from database and returns an instance of the
  * appropriate registered constructor
@@ -939,6 +1487,37 @@ Store.prototype.get = function(type, id, aggressive) {
     return result;
 };
 
+/**
+ * Locks the row of the entity passed as argument until the current
+ * transaction ends (see Query.forUpdate()). The entity is reloaded from
+ * the database, so the returned instance contains the current values.
+ * @param {Storable} entity The entity to lock
+ * @param {Object} options Optional lock options ("nowait" or "timeout")
+ * @returns The locked entity
+ * @type Storable
+ */
+Store.prototype.lock = function(entity, options) {
+    if (!isStorable(entity) || entity._id == null) {
+        throw new Error("Only persisted entities can be locked");
+    } else if (this.getTransaction() == null) {
+        throw new Error("Locking rows requires an open transaction");
+    }
+    var key = entity._key;
+    if (this.isCacheEnabled()) {
+        this.cache.remove(Cache.createKey(key));
+    }
+    var query = this.query(key.type).forUpdate(options);
+    var mapping = this.getEntityMapping(key.type);
+    getKeyParameters(mapping, key.id).forEach(function(param, idx) {
+        query.equals(mapping.getKeyMappings()[idx].name, param.value);
+    });
+    var result = query.select("*");
+    if (result.length < 1) {
+        throw new Error("Entity " + key + " doesn't exist");
+    }
+    return result[0];
+};
+
 /**
  * Retrieves all instances of the given type from the database
  * @param {String} type The type
@@ -952,3 +1531,102 @@ Store.prototype.get = function(type, id, aggressive) {
 Store.prototype.all = function(type, property) {
     return this.query(type).select(property);
 };
+
+/**
+ * Returns the number of instances of the given type stored in the database
+ * @param {String} type The type
+ * @returns The number of instances
+ * @type Number
+ */
+Store.prototype.count = function(type) {
+    return this.query(type).count();
+};
+
+
+/**
+ * Creates a new result iterator
+ * @class Instances of this class iterate over the rows of a result set. They
+ * support iteration using for each and forEach. Iterators that aren't
+ * exhausted must be closed explicitly.
+ * @param {java.sql.ResultSet} resultSet The result set to iterate over
+ * @param {Function} reader A function converting the current row of the result set
+ * @param {Function} close A function closing the result set and releasing
+ * all resources held by it
+ * @returns A newly created ResultIterator instance
+ * @constructor
+ */
+var ResultIterator = function(resultSet, reader, close) {
+    var isClosed = false;
+
+    /**
+     * Returns the next element, or throws a StopIteration if the end of
+     * the result set is reached
+     * @returns The next element
+     */
+    this.next = function() {
+        if (!isClosed) {
+            try {
+                if (resultSet.next()) {
+                    return reader();
+                }
+            } catch (e) {
+                this.close();
+                throw e;
+            }
+            this.close();
+        }
+        throw StopIteration;
+    };
+
+    /**
+     * Closes this iterator and releases the underlying result set,
+     * statement and connection
+     */
+    this.close = function() {
+        if (!isClosed) {
+            isClosed = true;
+            close();
+        }
+        return;
+    };
+
+    /**
+     * Calls the function passed as argument for each remaining element of
+     * this iterator. The iterator is closed afterwards, even if the function
+     * throws an exception.
+     * @param {Function} func The function to call, receiving the element and
+     * its index position as arguments
+     */
+    this.forEach = function(func) {
+        var idx = 0;
+        try {
+            while (!isClosed && resultSet.next()) {
+                func(reader(), idx++);
+            }
+        } finally {
+            this.close();
+        }
+        return;
+    };
+
+    /**
+     * Returns true if this iterator has been closed
+     * @returns True if this iterator is closed
+     * @type Boolean
+     */
+    this.isClosed = function() {
+        return isClosed;
+    };
+
+    /** @ignore */
+    this.__iterator__ = function() {
+        return this;
+    };
+
+    return this;
+};
+
+/** @ignore */
+ResultIterator.prototype.toString = function() {
+    return "[ResultIterator]";
+};
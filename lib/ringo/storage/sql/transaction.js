@@ -13,6 +13,7 @@ var Transaction = function(store) {
     var inserted = [];
     var updated = [];
     var deleted = [];
+    var bulk = [];
 
     /**
      * Resets this transaction.
@@ -27,6 +28,7 @@ var Transaction = function(store) {
         inserted.length = 0;
         updated.length = 0;
         deleted.length = 0;
+        bulk.length = 0;
         return;
     };
 
@@ -49,9 +51,30 @@ var Transaction = function(store) {
      * Commits all changes made in this transaction
      */
     this.commit = function() {
+        var types = {};
+        [inserted, updated, deleted].forEach(function(keys) {
+            keys.forEach(function(key) {
+                types[key.type] = true;
+            });
+        });
+        var bulkTypes = bulk.slice();
+        bulkTypes.forEach(function(type) {
+            types[type] = true;
+        });
         connection.commit();
         reset();
         Transaction.removeInstance();
+        // invalidate query results cached by other threads before the commit
+        for (var type in types) {
+            store.touchTable(type);
+        }
+        // entities of bulk modified types could have been cached by other
+        // threads before the commit
+        if (store.isCacheEnabled()) {
+            bulkTypes.forEach(function(type) {
+                store.cache.removeType(type);
+            });
+        }
         return;
     };
 
@@ -59,9 +82,17 @@ var Transaction = function(store) {
      * Rolls back all changes made in this transaction
      */
     this.rollback = function() {
+        var bulkTypes = bulk.slice();
         connection.rollback();
         reset();
         Transaction.removeInstance();
+        // entities of bulk modified types loaded within this transaction
+        // contain the discarded modifications
+        if (store.isCacheEnabled()) {
+            bulkTypes.forEach(function(type) {
+                store.cache.removeType(type);
+            });
+        }
         return;
     };
     
@@ -71,7 +102,8 @@ var Transaction = function(store) {
      * @type Boolean
      */
     this.isDirty = function() {
-        return inserted.length > 0 || updated.length > 0 || deleted.length > 0;
+        return inserted.length > 0 || updated.length > 0 || deleted.length > 0 ||
+                bulk.length > 0;
     };
 
     /**
@@ -103,6 +135,16 @@ var Transaction = function(store) {
             return deleted;
         }
     });
+
+    /**
+     * Contains the types of entities modified by bulk statements
+     * @type Array
+     */
+    Object.defineProperty(this, "bulk", {
+        "get": function() {
+            return bulk;
+        }
+    });
     
     return this;
 };
@@ -1,6 +1,30 @@
 var log = require('ringo/logging').getLogger(module.id);
 
-export("close", "createTable", "createSequence", "getColumns", "getPrimaryKeys", "getTables", "tableExists", "dropTable", "dropSequence", "getDefaultSchema");
+export("close", "createTable", "createSequence", "getColumns", "getPrimaryKeys", "getTables", "tableExists", "dropTable", "dropSequence", "getDefaultSchema", "getParameterType");
+
+/**
+ * Returns the name of the column type to use for binding the value
+ * passed as argument to a prepared statement
+ * @param {Object} value The value
+ * @returns The column type name
+ * @type String
+ */
+function getParameterType(value) {
+    if (value === undefined || value === null) {
+        return null;
+    } else if (value instanceof Storable) {
+        return getParameterType(value._id);
+    } else if (typeof(value) === "number") {
+        return (value % 1 === 0) ? "long" : "double";
+    } else if (typeof(value) === "boolean") {
+        return "boolean";
+    } else if (value instanceof Date) {
+        return "timestamp";
+    } else if (typeof(value) === "string" || value instanceof String) {
+        return "string";
+    }
+    throw new Error("Unable to determine the column type of parameter " + value);
+}
 
 /**
  * Utility function for closing DB connections, resultsets et.al.
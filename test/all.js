@@ -1,5 +1,6 @@
 exports.testConnectionPool = require("./connectionpool_test");
 exports.testCache = require("./cache_test");
+exports.testParser = require("./parser_test");
 exports.testH2 = require("./h2_test");
 exports.testMysql = require("./mysql_test");
 exports.testOracle = require("./oracle_test");
@@ -26,6 +26,14 @@ exports.testCache = function() {
     assert.isTrue(cache.isEmpty());
     assert.isNull(cache.get("one"));
 
+    // remove by type
+    cache.put("Book#1", 1);
+    cache.put("Book#2", 2);
+    cache.put("Books#1", 3);
+    cache.removeType("Book");
+    assert.strictEqual(cache.size(), 1);
+    assert.isTrue(cache.containsKey("Books#1"));
+
     // clear
     cache.put("two");
     cache.clear();
@@ -0,0 +1,71 @@
+var assert = require("assert");
+var parser = require("ringo/storage/sql/parser");
+
+exports.testParse = function() {
+    var statement = parser.parse("from Book");
+    assert.strictEqual(statement.type, "Book");
+    assert.isNull(statement.property);
+    assert.isNull(statement.where);
+    assert.strictEqual(statement.orders.length, 0);
+    // parsed statements are cached
+    assert.strictEqual(parser.parse("from Book"), statement);
+
+    statement = parser.parse("select * from Book where author = :author and " +
+            "price < 20.5 order by title desc, id limit :max offset 10");
+    assert.strictEqual(statement.property, "*");
+    assert.strictEqual(statement.where.op, "and");
+    assert.strictEqual(statement.where.children.length, 2);
+    assert.strictEqual(statement.where.children[0].operator, "=");
+    assert.strictEqual(statement.where.children[0].value.param, "author");
+    assert.strictEqual(statement.where.children[1].property, "price");
+    assert.strictEqual(statement.where.children[1].value.value, 20.5);
+    assert.strictEqual(statement.orders.length, 2);
+    assert.strictEqual(statement.orders[0].order, "desc");
+    assert.strictEqual(statement.orders[1].property, "id");
+    assert.strictEqual(statement.orders[1].order, "asc");
+    assert.strictEqual(statement.limit.param, "max");
+    assert.strictEqual(statement.offset.value, 10);
+    return;
+};
+
+exports.testConditions = function() {
+    var where = parser.parse("from Book where (title = 'It''s' or not author.name " +
+            "ilike 'a%') and id not in (1, 2) and summary is not null " +
+            "and readCount between 1 and :to and available = true").where;
+    assert.strictEqual(where.op, "and");
+    assert.strictEqual(where.children.length, 5);
+    var or = where.children[0];
+    assert.strictEqual(or.op, "or");
+    assert.strictEqual(or.children[0].value.value, "It's");
+    assert.strictEqual(or.children[1].op, "not");
+    assert.strictEqual(or.children[1].child.op, "like");
+    assert.strictEqual(or.children[1].child.property, "author.name");
+    assert.isTrue(or.children[1].child.ignoreCase);
+    assert.strictEqual(where.children[1].op, "in");
+    assert.isTrue(where.children[1].negate);
+    assert.strictEqual(where.children[1].values.length, 2);
+    assert.strictEqual(where.children[2].op, "null");
+    assert.isTrue(where.children[2].negate);
+    assert.strictEqual(where.children[3].op, "between");
+    assert.strictEqual(where.children[3].to.param, "to");
+    assert.strictEqual(where.children[4].value.value, true);
+    return;
+};
+
+exports.testErrors = function() {
+    ["", "from", "Book", "from Book where", "from Book where title",
+            "from Book where title = ", "from Book where title = 'abc",
+            "from Book where (title = 'a'", "from Book order title",
+            "from Book where title ~ 'a'", "from Book limit 10 where id = 1",
+            "from Book where id in :ids, 3"].forEach(function(str) {
+        assert.throws(function() {
+            parser.parse(str);
+        });
+    });
+    return;
+};
+
+//start the test runner if we're called directly from command line
+if (require.main == module.id) {
+    require('test').run(exports);
+}
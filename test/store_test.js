@@ -4,11 +4,16 @@ var Store = require("ringo/storage/sql/store").Store;
 var Key = require("ringo/storage/sql/key").Key;
 var Transaction = require("ringo/storage/sql/transaction").Transaction;
 var sqlUtils = require("ringo/storage/sql/util");
+var parser = require("ringo/storage/sql/parser");
 var strings = require("ringo/utils/strings.js");
 
 var store = null;
 var Book = null;
 var Author = null;
+var Authorship = null;
+var Country = null;
+var Session = null;
+var City = null;
 var dbProps = {
         "url": "jdbc:h2:mem:test",
         "driver": "org.h2.Driver"
@@ -88,6 +93,78 @@ const MAPPING_AUTHOR = {
     }
 };
 
+const MAPPING_AUTHORSHIP = {
+    "table": "authorship",
+    "id": {
+        "properties": ["author", "book"]
+    },
+    "properties": {
+        "author": {
+            "type": "object",
+            "entity": "Author",
+            "column": "authorship_f_author",
+            "nullable": false
+        },
+        "book": {
+            "type": "object",
+            "entity": "Book",
+            "column": "authorship_f_book",
+            "nullable": false
+        },
+        "role": {
+            "type": "string",
+            "column": "authorship_role"
+        }
+    }
+};
+
+const MAPPING_COUNTRY = {
+    "table": "country",
+    "id": {
+        "column": "country_code",
+        "type": "string",
+        "length": 2
+    },
+    "properties": {
+        "name": {
+            "type": "string",
+            "column": "country_name"
+        }
+    }
+};
+
+const MAPPING_CITY = {
+    "table": "city",
+    "id": {
+        "column": "city_id"
+    },
+    "properties": {
+        "name": {
+            "type": "string",
+            "column": "city_name"
+        },
+        "country": {
+            "type": "object",
+            "entity": "Country",
+            "column": "city_f_country"
+        }
+    }
+};
+
+const MAPPING_SESSION = {
+    "table": "session",
+    "id": {
+        "column": "session_id",
+        "type": "uuid"
+    },
+    "properties": {
+        "data": {
+            "type": "string",
+            "column": "session_data"
+        }
+    }
+};
+
 function populate(store) {
     var authors = [];
     for (var i=1; i<=5; i+=1) {
@@ -138,7 +215,9 @@ exports.setUp = function() {
 
 exports.tearDown = function() {
     var conn = store.getConnection();
-    [Book, Author].forEach(function(ctor) {
+    [Book, Author, Authorship, Country, Session, City].filter(function(ctor) {
+        return ctor != null;
+    }).forEach(function(ctor) {
         var schemaName = ctor.mapping.schemaName || store.dialect.getDefaultSchema(conn);
         if (sqlUtils.tableExists(conn, ctor.mapping.tableName, schemaName)) {
             sqlUtils.dropTable(conn, store.dialect, ctor.mapping.tableName, schemaName);
@@ -152,6 +231,10 @@ exports.tearDown = function() {
     store = null;
     Author = null;
     Book = null;
+    Authorship = null;
+    Country = null;
+    Session = null;
+    City = null;
     return;
 };
 
@@ -165,6 +248,16 @@ exports.testKey = function() {
     assert.isFalse(key.isPersistent());
     key = new Key("Book");
     assert.isFalse(key.isPersistent());
+    // composite key
+    key = new Key("Authorship", [1, 3]);
+    assert.isTrue(key.isPersistent());
+    assert.strictEqual(key.toString(), "Authorship#[1,3]");
+    assert.isTrue(key.equals(new Key("Authorship", [1, 3])));
+    assert.isFalse(key.equals(new Key("Authorship", [3, 1])));
+    // string key
+    key = new Key("Country", "AT");
+    assert.strictEqual(key.toString(), "Country#AT");
+    assert.isTrue(key.equals(new Key("Country", "AT")));
     return;
 };
 
@@ -422,6 +515,32 @@ exports.testQueryEquals = function() {
     // multiple storables as argument
     result = Book.query().equals("author", Author.all()).select();
     assert.strictEqual(result.length, 10);
+    // an empty array matches nothing
+    assert.strictEqual(Book.query().equals("id", []).select().length, 0);
+    assert.strictEqual(Book.query().equals("author", []).count(), 0);
+    return;
+};
+
+exports.testQueryParameters = function() {
+    populate(store);
+    var params = [];
+    var sql = Book.query().equals("title", "Book 1").toSql(null, params);
+    assert.isTrue(sql.indexOf("Book 1") < 0);
+    assert.strictEqual(params.length, 1);
+    assert.strictEqual(params[0].type, "string");
+    assert.strictEqual(params[0].value, "Book 1");
+    // values containing quotes don't break the statement
+    var author = new Author({
+        "name": "Miles O'Brien"
+    });
+    author.save();
+    var result = Author.query().equals("name", "Miles O'Brien").select();
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0]._id, author._id);
+    result = Author.query().equals("name", ["Author 1", "Miles O'Brien"]).select();
+    assert.strictEqual(result.length, 2);
+    result = Author.query().equals("name", "' OR '1'='1").select();
+    assert.strictEqual(result.length, 0);
     return;
 };
 
@@ -465,6 +584,1035 @@ exports.testQueryLessThanOrEquals = function() {
     return;
 };
 
+exports.testQueryOr = function() {
+    populate(store);
+    var result = Book.query().or(function(q) {
+        q.equals("id", 1);
+    }, function(q) {
+        q.equals("id", 10);
+    }).orderBy("id").select();
+    assert.strictEqual(result.length, 2);
+    assert.strictEqual(result[0]._id, 1);
+    assert.strictEqual(result[1]._id, 10);
+    // queries as arguments, combined with other clauses
+    result = Book.query().greater("id", 2).or(
+        Book.query().less("id", 5),
+        Book.query().greaterEquals("id", 9)
+    ).select();
+    assert.strictEqual(result.length, 4);
+    // nested groups
+    result = Book.query().or(function(q) {
+        q.and(function(q) {
+            q.greater("id", 1);
+        }, function(q) {
+            q.less("id", 4);
+        });
+    }, function(q) {
+        q.or(function(q) {
+            q.equals("id", 7);
+        }, function(q) {
+            q.equals("id", 8);
+        });
+    }).select();
+    assert.strictEqual(result.length, 4);
+    // empty queries are rejected
+    assert.throws(function() {
+        Book.query().or(Book.query());
+    });
+    return;
+};
+
+exports.testQueryNot = function() {
+    populate(store);
+    var result = Book.query().not(function(q) {
+        q.greater("id", 2).less("id", 9);
+    }).orderBy("id").select();
+    assert.strictEqual(result.length, 4);
+    assert.strictEqual(result[0]._id, 1);
+    assert.strictEqual(result[3]._id, 10);
+    var params = [];
+    var sql = Book.query().not(function(q) {
+        q.or(function(q) {
+            q.equals("id", 1);
+        }, function(q) {
+            q.equals("id", 2);
+        });
+    }).toSql(null, params);
+    assert.isTrue(sql.indexOf("NOT ((") > -1);
+    assert.strictEqual(params.length, 2);
+    return;
+};
+
+exports.testQueryLike = function() {
+    populate(store);
+    assert.strictEqual(Book.query().like("title", "Book _").select().length, 9);
+    assert.strictEqual(Book.query().likeIgnoreCase("title", "book 1%").select().length, 2);
+    assert.strictEqual(Book.query().startsWith("title", "Book 1").select().length, 2);
+    assert.strictEqual(Book.query().startsWith("title", "book 1").select().length, 0);
+    assert.strictEqual(Book.query().startsWithIgnoreCase("title", "book 1").select().length, 2);
+    assert.strictEqual(Book.query().endsWith("title", "0").select().length, 1);
+    assert.strictEqual(Book.query().endsWithIgnoreCase("title", "OK 5").select().length, 1);
+    assert.strictEqual(Book.query().contains("isbn", "T-").select().length, 10);
+    assert.strictEqual(Book.query().containsIgnoreCase("isbn", "t-1").select().length, 2);
+    // wildcards are matched literally
+    assert.strictEqual(Author.query().contains("name", "%").select().length, 0);
+    assert.strictEqual(Author.query().contains("name", "_").select().length, 0);
+    (new Author({"name": "100%_Author"})).save();
+    assert.strictEqual(Author.query().contains("name", "%_").select().length, 1);
+    assert.strictEqual(Author.query().startsWith("name", "100%").select().length, 1);
+    return;
+};
+
+exports.testQueryNull = function() {
+    populate(store);
+    // none of the books has the "available" flag set
+    assert.strictEqual(Book.query().isNull("available").select().length, 10);
+    assert.strictEqual(Book.query().equals("available", null).select().length, 10);
+    assert.strictEqual(Book.query().isNotNull("available").select().length, 0);
+    var book = Book.get(1);
+    book.available = true;
+    book.save();
+    assert.strictEqual(Book.query().isNull("available").select().length, 9);
+    assert.strictEqual(Book.query().notEquals("available", null).select().length, 1);
+    return;
+};
+
+exports.testQueryNotEquals = function() {
+    populate(store);
+    var result = Book.query().notEquals("id", 1).orderBy("id").select();
+    assert.strictEqual(result.length, 9);
+    assert.strictEqual(result[0]._id, 2);
+    result = Book.query().notEquals("author", Author.get(1)).select();
+    assert.strictEqual(result.length, 8);
+    result = Book.query().notIn("id", [1, 2, 3]).select();
+    assert.strictEqual(result.length, 7);
+    result = Book.query().notEquals("author", [Author.get(1), Author.get(2)]).select();
+    assert.strictEqual(result.length, 6);
+    // an empty array matches everything
+    assert.strictEqual(Book.query().notIn("id", []).select().length, 10);
+    assert.strictEqual(Book.query().notEquals("author", []).greater("id", 8).count(), 2);
+    return;
+};
+
+exports.testQueryBetween = function() {
+    populate(store);
+    var result = Book.query().between("id", 3, 6).select();
+    assert.strictEqual(result.length, 4);
+    result.forEach(function(book, idx) {
+        assert.strictEqual(book._id, idx + 3);
+    });
+    return;
+};
+
+exports.testQueryAggregates = function() {
+    populate(store);
+    assert.strictEqual(Book.query().count(), 10);
+    assert.strictEqual(Book.query().greater("id", 7).count(), 3);
+    assert.strictEqual(Book.query().count("available"), 0);
+    assert.strictEqual(store.count("Book"), 10);
+    assert.strictEqual(store.count("Author"), 5);
+    assert.strictEqual(Book.query().sum("id"), 55);
+    assert.strictEqual(Book.query().less("id", 5).sum("id"), 10);
+    assert.isTrue(Math.abs(Book.query().avg("price") - 12.95) < 0.0001);
+    assert.strictEqual(Book.query().min("id"), 1);
+    assert.strictEqual(Book.query().max("id"), 10);
+    assert.strictEqual(Book.query().min("title"), "Book 1");
+    assert.strictEqual(Book.query().max("title"), "Book 9");
+    assert.isNull(Book.query().greater("id", 10).max("id"));
+    return;
+};
+
+exports.testQueryGroupBy = function() {
+    populate(store);
+    var result = Book.query().groupBy("author").orderBy("author")
+            .aggregate("author", "count(id) as books", "sum(price)", "max(title)");
+    assert.strictEqual(result.length, 5);
+    result.forEach(function(row, idx) {
+        assert.strictEqual(row.author, idx + 1);
+        assert.strictEqual(row.books, 2);
+        assert.isTrue(Math.abs(row["sum(price)"] - 25.9) < 0.0001);
+        assert.strictEqual(typeof(row["max(title)"]), "string");
+    });
+    result = Book.query().greater("id", 3).groupBy("author")
+            .having("count(*)", ">", 1).aggregate("author", "count(*) as nr");
+    assert.strictEqual(result.length, 3);
+    result.forEach(function(row) {
+        assert.strictEqual(row.nr, 2);
+    });
+    // without grouping a single row is returned
+    result = Book.query().aggregate("count(id)", "min(id) as first");
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0]["count(id)"], 10);
+    assert.strictEqual(result[0].first, 1);
+    assert.throws(function() {
+        Book.query().aggregate("median(id)");
+    });
+    return;
+};
+
+exports.testQueryPath = function() {
+    populate(store);
+    var result = Book.query().equals("author.name", "Author 1").select();
+    assert.strictEqual(result.length, 2);
+    result.forEach(function(book) {
+        assert.isTrue(book instanceof Book);
+        assert.strictEqual(book.author._id, 1);
+    });
+    result = Book.query().startsWith("author.name", "Author").greater("author.id", 3)
+            .orderBy("author.name desc").select("*");
+    assert.strictEqual(result.length, 4);
+    assert.strictEqual(result[0].author._id, 5);
+    assert.strictEqual(result[3].author._id, 4);
+    // paths within logical clauses
+    result = Book.query().or(function(q) {
+        q.equals("author.name", "Author 2");
+    }, function(q) {
+        q.equals("author.name", "Author 3");
+    }).select();
+    assert.strictEqual(result.length, 4);
+    // paths in aggregate queries
+    result = Book.query().groupBy("author.name").orderBy("author.name")
+            .aggregate("author.name as name", "count(id) as books");
+    assert.strictEqual(result.length, 5);
+    assert.strictEqual(result[0].name, "Author 1");
+    assert.strictEqual(result[0].books, 2);
+    // only object mappings can be used in paths
+    assert.throws(function() {
+        Book.query().equals("title.name", "Book 1").select();
+    });
+    return;
+};
+
+exports.testFind = function() {
+    populate(store);
+    var author = Author.get(2);
+    var result = store.find("from Book where author = :author order by id desc", {
+        "author": author
+    });
+    assert.strictEqual(result.length, 2);
+    assert.strictEqual(result[0]._id, 4);
+    assert.strictEqual(result[1]._id, 3);
+    result = store.find("select title from Book where id < :max and " +
+            "(author.name = 'Author 1' or title like '%10') order by title", {
+        "max": 20
+    });
+    assert.strictEqual(result.length, 3);
+    assert.strictEqual(result[0], "Book 1");
+    assert.strictEqual(result[1], "Book 10");
+    result = store.find("select * from Book where id in :ids and available is null " +
+            "order by id limit 2", {
+        "ids": [3, 4, 5]
+    });
+    assert.strictEqual(result.length, 2);
+    assert.strictEqual(result[0].title, "Book 3");
+    // the resulting SQL equals the one of the query builder
+    var params = [];
+    var sql = parser.compile(store, parser.parse("from Book where author = :author " +
+            "and price < :max order by title desc"), {"author": author, "max": 20})
+            .toSql(null, params);
+    assert.strictEqual(sql, Book.query().equals("author", author)
+            .less("price", 20).orderBy("title desc").toSql());
+    assert.strictEqual(params.length, 2);
+    // missing parameters
+    assert.throws(function() {
+        store.find("from Book where author = :author");
+    });
+    return;
+};
+
+exports.testQueryFirstSingleExists = function() {
+    populate(store);
+    var book = Book.query().orderBy("id desc").first();
+    assert.isTrue(book instanceof Book);
+    assert.strictEqual(book._id, 10);
+    assert.strictEqual(Book.query().orderBy("id").first("title"), "Book 1");
+    assert.isNull(Book.query().greater("id", 10).first());
+    // the limit of the query is left untouched
+    var query = Book.query().limit(5);
+    query.first();
+    assert.strictEqual(query.getLimit(), 5);
+    assert.strictEqual(query.select().length, 5);
+
+    book = Book.query().equals("isbn", "AT-3").single("*");
+    assert.strictEqual(book._id, 3);
+    assert.isNull(Book.query().equals("isbn", "AT-11").single());
+    assert.throws(function() {
+        Book.query().equals("author", Author.get(1)).single();
+    });
+
+    assert.isTrue(Book.query().exists());
+    assert.isTrue(Book.query().equals("author.name", "Author 5").exists());
+    assert.isFalse(Book.query().greater("id", 10).exists());
+    return;
+};
+
+exports.testQueryBulkUpdate = function() {
+    populate(store);
+    // load a book to get it into the cache
+    var book = Book.get(1);
+    assert.strictEqual(book.readCount, 0);
+    var result = Book.query().less("id", 4).update({
+        "readCount": 5,
+        "available": true
+    });
+    assert.strictEqual(result, 3);
+    // the cached instance has been evicted
+    book = Book.get(1);
+    assert.strictEqual(book.readCount, 5);
+    assert.isTrue(book.available);
+    assert.strictEqual(Book.query().equals("readCount", 5).count(), 3);
+    // update using a path
+    result = Book.query().equals("author.name", "Author 5").update({
+        "author": Author.get(1)
+    });
+    assert.strictEqual(result, 2);
+    assert.strictEqual(Book.query().equals("author", Author.get(1)).count(), 4);
+    // within a transaction
+    store.beginTransaction();
+    var transaction = store.getTransaction();
+    result = Book.query().greater("id", 8).update({"title": "Updated"});
+    assert.strictEqual(result, 2);
+    assert.deepEqual(transaction.bulk, ["Book"]);
+    assert.strictEqual(Book.get(9).title, "Updated");
+    store.abortTransaction();
+    assert.strictEqual(Book.query().equals("title", "Updated").count(), 0);
+    // instances loaded within the aborted transaction have been evicted
+    assert.strictEqual(Book.get(9).title, "Book 9");
+    assert.throws(function() {
+        Book.query().update({"id": 1});
+    });
+    return;
+};
+
+exports.testQueryBulkRemove = function() {
+    populate(store);
+    assert.strictEqual(Book.query().greater("id", 8).remove(), 2);
+    assert.strictEqual(Book.query().count(), 8);
+    assert.isNull(Book.get(9));
+    assert.strictEqual(Book.query().equals("author.name", "Author 1").remove(), 2);
+    assert.strictEqual(Book.query().count(), 6);
+    assert.strictEqual(Book.query().orderBy("id").limit(2).remove(), 2);
+    assert.strictEqual(Book.query().orderBy("id").first()._id, 5);
+    assert.strictEqual(Book.query().greater("id", 100).remove(), 0);
+    // within a transaction
+    store.beginTransaction();
+    var transaction = store.getTransaction();
+    assert.strictEqual(Book.query().remove(), 4);
+    assert.deepEqual(transaction.bulk, ["Book"]);
+    store.commitTransaction();
+    assert.strictEqual(Book.query().count(), 0);
+    return;
+};
+
+exports.testQueryProjections = function() {
+    populate(store);
+    var result = Book.query().less("id", 3).orderBy("id")
+            .select(["id", "title", "price", "author.name"]);
+    assert.strictEqual(result.length, 2);
+    assert.isFalse(result[0] instanceof Book);
+    assert.strictEqual(result[0].id, 1);
+    assert.strictEqual(result[0].title, "Book 1");
+    assert.strictEqual(result[0].price, 12.95);
+    assert.strictEqual(result[0]["author.name"], "Author 1");
+    assert.strictEqual(result[1].title, "Book 2");
+    assert.strictEqual(Book.query().orderBy("id").first(["title"]).title, "Book 1");
+    // distinct projections
+    result = Book.query().distinct().orderBy("price").select("price");
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0], 12.95);
+    result = Book.query().distinct().orderBy("author.name")
+            .select(["author.name", "price"]);
+    assert.strictEqual(result.length, 5);
+    assert.strictEqual(result[4]["author.name"], "Author 5");
+    assert.isTrue(Book.query().distinct().toSql("title").indexOf("SELECT DISTINCT ") === 0);
+    assert.strictEqual(Book.query().distinct().orderBy("title").select("*").length, 10);
+    // distinct queries can only be ordered by selected properties
+    assert.throws(function() {
+        Book.query().distinct().orderBy("title").select();
+    });
+    assert.throws(function() {
+        Book.query().distinct().orderBy("title").select("price");
+    });
+    assert.throws(function() {
+        Book.query().distinct().orderBy("lower(title)").select("title");
+    });
+    assert.throws(function() {
+        Book.query().distinct().orderBy("author.name").select("*");
+    });
+    // single property paths
+    assert.deepEqual(Book.query().less("id", 4).orderBy("id").select("author.name"),
+            ["Author 1", "Author 1", "Author 2"]);
+    assert.strictEqual(Book.query().orderBy("id desc").first("author.name"), "Author 5");
+    return;
+};
+
+exports.testQuerySubQueries = function() {
+    populate(store);
+    Book.query().less("id", 3).update({"available": true});
+    // in-clauses using a sub query
+    var result = Book.query().equals("author", Author.query().less("id", 3)).select();
+    assert.strictEqual(result.length, 4);
+    assert.strictEqual(Book.query().notIn("author", Author.query().less("id", 3)).count(), 6);
+    result = Author.query().equals("id", Book.query().greater("id", 8).project("author")).select();
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0]._id, 5);
+    // sub query for the same entity and using a path
+    result = Book.query().equals("author",
+            Book.query().equals("author.name", "Author 2").project("author"))
+            .orderBy("id").select("title");
+    assert.strictEqual(result.length, 2);
+    assert.strictEqual(result[0], "Book 3");
+    // a sub query using a path that has been rendered on its own before
+    var subQuery = Book.query().equals("author.name", "Author 2").project("author");
+    assert.strictEqual(subQuery.count(), 2);
+    result = Author.query().equals("id", subQuery).select();
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0]._id, 2);
+    // and is then used within another enclosing query
+    result = Book.query().equals("author", subQuery).orderBy("id").select("title");
+    assert.strictEqual(result.length, 2);
+    assert.strictEqual(result[1], "Book 4");
+    // correlated exists-clauses
+    var available = Book.query().equals("available", true).correlate("author", "id");
+    result = Author.query().exists(available).select();
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0]._id, 1);
+    assert.strictEqual(Author.query().notExists(available).count(), 4);
+    assert.strictEqual(Author.query().or(function(query) {
+        query.exists(available);
+    }, function(query) {
+        query.equals("name", "Author 5");
+    }).count(), 2);
+    // correlated queries can't be used standalone
+    assert.throws(function() {
+        Book.query().correlate("author", "id").select();
+    });
+    return;
+};
+
+exports.testSqlQuery = function() {
+    populate(store);
+    var dialect = store.dialect;
+    var sql = "SELECT * FROM " + dialect.quote("book") + " WHERE " +
+            dialect.quote("book_f_author") + " = ? AND " +
+            dialect.quote("book_price") + " < ? ORDER BY " + dialect.quote("book_id");
+    var result = store.sqlQuery(sql, [Author.get(2), 20], "Book");
+    assert.strictEqual(result.length, 2);
+    assert.isTrue(result[0] instanceof Book);
+    assert.strictEqual(result[0].title, "Book 3");
+    // the entities are put into the cache
+    assert.strictEqual(result[0], Book.get(3));
+    // entities selected without all mapped columns are loaded lazily
+    store.cache.clear();
+    sql = "SELECT " + dialect.quote("book_id") + ", " + dialect.quote("book_title") +
+            " FROM " + dialect.quote("book") + " WHERE " + dialect.quote("book_id") + " = ?";
+    result = store.sqlQuery(sql, [5], "Book");
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0]._id, 5);
+    assert.strictEqual(Book.get(5).isbn, "AT-5");
+    assert.strictEqual(result[0].isbn, "AT-5");
+    result[0].save();
+    store.cache.clear();
+    assert.strictEqual(Book.get(5).isbn, "AT-5");
+    assert.strictEqual(Book.get(5).title, "Book 5");
+    // plain objects
+    sql = "SELECT " + dialect.quote("book_f_author") + " AS " + dialect.quote("author") +
+            ", COUNT(*) AS " + dialect.quote("cnt") + " FROM " + dialect.quote("book") +
+            " WHERE " + dialect.quote("book_title") + " LIKE ? GROUP BY " +
+            dialect.quote("book_f_author") + " ORDER BY " + dialect.quote("book_f_author");
+    result = store.sqlQuery(sql, ["Book%"]);
+    assert.strictEqual(result.length, 5);
+    assert.isFalse(result[0] instanceof Book);
+    assert.strictEqual(result[0].author, 1);
+    assert.strictEqual(result[0].cnt, 2);
+    assert.throws(function() {
+        store.sqlQuery(sql, [{}]);
+    });
+    return;
+};
+
+exports.testQueryIterate = function() {
+    populate(store);
+    var titles = [];
+    Book.query().orderBy("id").fetchSize(3).forEach(function(book, idx) {
+        assert.isTrue(book instanceof Book);
+        assert.strictEqual(book._id, idx + 1);
+        titles.push(book.title);
+    });
+    assert.strictEqual(titles.length, 10);
+    assert.strictEqual(titles[0], "Book 1");
+    // iterating using for each closes the iterator at the end
+    var iterator = Book.query().less("id", 4).orderBy("id").iterate("title");
+    var result = [];
+    for each (var title in iterator) {
+        result.push(title);
+    }
+    assert.strictEqual(result.length, 3);
+    assert.strictEqual(result[2], "Book 3");
+    assert.isTrue(iterator.isClosed());
+    // projections, closing an iterator explicitly
+    iterator = Book.query().orderBy("id").iterate(["id", "title"]);
+    var row = iterator.next();
+    assert.strictEqual(row.id, 1);
+    assert.strictEqual(row.title, "Book 1");
+    iterator.close();
+    assert.isTrue(iterator.isClosed());
+    assert.throws(function() {
+        iterator.next();
+    });
+    // exceptions thrown during iteration close the iterator
+    iterator = Book.query().iterate("*");
+    assert.throws(function() {
+        iterator.forEach(function(book) {
+            throw new Error("failure");
+        });
+    });
+    assert.isTrue(iterator.isClosed());
+    // and release the connection
+    var openConnections = store.connectionPool.countOpenConnections();
+    assert.throws(function() {
+        Book.query().forEach(function(book) {
+            assert.strictEqual(store.connectionPool.countOpenConnections(),
+                    openConnections + 1);
+            throw new Error("failure");
+        });
+    });
+    assert.strictEqual(store.connectionPool.countOpenConnections(), openConnections);
+    // within a transaction the connection of the transaction is used
+    store.beginTransaction();
+    Book.query().orderBy("id").forEach(function(book, idx) {
+        assert.strictEqual(book.title, "Book " + (idx + 1));
+    });
+    store.commitTransaction();
+    return;
+};
+
+exports.testQuerySeek = function() {
+    populate(store);
+    var getIds = function(page) {
+        return page.items.map(function(book) {
+            return book._id;
+        });
+    };
+    // all books have the same price, so the id is used as tie-breaker
+    var page = Book.query().orderBy("price").seek(4);
+    assert.deepEqual(getIds(page), [1, 2, 3, 4]);
+    assert.isNull(page.previous);
+    assert.isNotNull(page.next);
+    page = Book.query().orderBy("price").after(page.next).seek(4);
+    assert.deepEqual(getIds(page), [5, 6, 7, 8]);
+    assert.isNotNull(page.previous);
+    var last = Book.query().orderBy("price").after(page.next).seek(4);
+    assert.deepEqual(getIds(last), [9, 10]);
+    assert.isNull(last.next);
+    // backwards
+    page = Book.query().orderBy("price").before(last.previous).seek(4);
+    assert.deepEqual(getIds(page), [5, 6, 7, 8]);
+    assert.isNotNull(page.next);
+    page = Book.query().orderBy("price").before(page.previous).seek(4);
+    assert.deepEqual(getIds(page), [1, 2, 3, 4]);
+    assert.isNull(page.previous);
+    assert.deepEqual(getIds(Book.query().before(null).seek(3)), [8, 9, 10]);
+    // descending order
+    page = Book.query().orderBy("title desc").seek(3);
+    assert.strictEqual(page.items[0].title, "Book 9");
+    var titles = Book.query().orderBy("title desc").after(page.next).limit(3).select("title");
+    assert.deepEqual(titles, ["Book 6", "Book 5", "Book 4"]);
+    // invalid cursors
+    assert.throws(function() {
+        Book.query().after("invalid");
+    });
+    assert.throws(function() {
+        Book.query().orderBy("price").after(Book.query().seek(1).next).select();
+    });
+    return;
+};
+
+exports.testQueryPaginate = function() {
+    populate(store);
+    var result = Book.query().orderBy("id").paginate(1, 4);
+    assert.strictEqual(result.items.length, 4);
+    assert.strictEqual(result.items[0]._id, 1);
+    assert.strictEqual(result.total, 10);
+    assert.strictEqual(result.page, 1);
+    assert.strictEqual(result.pageSize, 4);
+    assert.strictEqual(result.pages, 3);
+    assert.isTrue(result.hasNext);
+    assert.isFalse(result.hasPrevious);
+    result = Book.query().orderBy("id").paginate(3, 4, "title");
+    assert.deepEqual(result.items, ["Book 9", "Book 10"]);
+    assert.isFalse(result.hasNext);
+    assert.isTrue(result.hasPrevious);
+    // pages beyond the last one are empty
+    result = Book.query().equals("author.name", "Author 1").paginate(2, 2);
+    assert.strictEqual(result.items.length, 0);
+    assert.strictEqual(result.total, 2);
+    assert.strictEqual(result.pages, 1);
+    // within a transaction
+    store.beginTransaction();
+    Book.query().greater("id", 8).remove();
+    result = Book.query().paginate(1, 5);
+    assert.strictEqual(result.total, 8);
+    assert.strictEqual(result.pages, 2);
+    store.abortTransaction();
+    assert.throws(function() {
+        Book.query().paginate(0, 10);
+    });
+    // the total can't be counted for distinct or grouped queries
+    assert.throws(function() {
+        Book.query().distinct().paginate(1, 10, "author");
+    });
+    assert.throws(function() {
+        Book.query().groupBy("author").paginate(1, 10, "author");
+    });
+    return;
+};
+
+exports.testQueryExplain = function() {
+    populate(store);
+    var plan = Book.query().equals("author.name", "Author 1").orderBy("title").explain();
+    assert.isTrue(plan instanceof Array);
+    assert.isTrue(plan.length > 0);
+    assert.isTrue(Object.keys(plan[0]).length > 0);
+    // explaining doesn't alter the query
+    assert.strictEqual(Book.query().equals("author.name", "Author 1").count(), 2);
+    // within a transaction
+    store.beginTransaction();
+    plan = Book.query().equals("title", "Book 1").explain();
+    assert.isTrue(plan.length > 0);
+    store.commitTransaction();
+    return;
+};
+
+exports.testQueryCache = function() {
+    populate(store);
+    var dialect = store.dialect;
+    var query = Book.query().equals("author.name", "Author 1").orderBy("id").cacheable();
+    assert.strictEqual(query.select().length, 2);
+    var result = query.select();
+    assert.strictEqual(result.length, 2);
+    assert.strictEqual(result[1], Book.get(2));
+    // remove a book bypassing the store and evict the entities from the
+    // object cache: the cached ids are loaded at once, skipping removed ones
+    store.executeUpdate("DELETE FROM " + dialect.quote("book") + " WHERE " +
+            dialect.quote("book_id") + " = ?", [{"type": "long"}], [1]);
+    store.cache.clear();
+    result = query.select();
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0], Book.get(2));
+    // modifying one of the tables involved invalidates the cached result
+    var author = Author.get(5);
+    author.name = "Author 5 (modified)";
+    author.save();
+    result = query.select();
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0]._id, 2);
+    // modifications are also detected when committing a transaction
+    assert.strictEqual(query.select().length, 1);
+    store.beginTransaction();
+    var book = new Book({
+        "title": "Book 11",
+        "isbn": "AT-11",
+        "publishDate": new Date(),
+        "readCount": 0,
+        "price": 12.95,
+        "author": Author.get(1)
+    });
+    book.save();
+    store.commitTransaction();
+    assert.strictEqual(query.select().length, 2);
+    // as well as bulk modifications
+    Book.query().equals("isbn", "AT-11").remove();
+    assert.strictEqual(query.select().length, 1);
+    return;
+};
+
+exports.testQueryWhere = function() {
+    populate(store);
+    var count = function(filter) {
+        return Book.query().where(filter).count();
+    };
+    assert.strictEqual(count({"title": "Book 1"}), 1);
+    assert.strictEqual(count({"author": Author.get(1)}), 2);
+    assert.strictEqual(count({"author": 2, "title": "Book 3"}), 1);
+    assert.strictEqual(count({"id": {"$gt": 3, "$lte": 6}}), 3);
+    assert.strictEqual(count({"author.name": {"$in": ["Author 1", "Author 2"]}}), 4);
+    assert.strictEqual(count({"author.name": {"$nin": ["Author 1", "Author 2"]}}), 6);
+    assert.strictEqual(count({"title": {"$like": "Book 1%"}}), 2);
+    assert.strictEqual(count({"title": {"$ilike": "book 1%"}}), 2);
+    assert.strictEqual(count({"id": {"$between": [2, 4]}}), 3);
+    assert.strictEqual(count({"available": null}), 10);
+    assert.strictEqual(count({"available": {"$exists": true}}), 0);
+    assert.strictEqual(count({"$or": [{"title": "Book 1"}, {"isbn": "AT-10"}]}), 2);
+    assert.strictEqual(count({"$not": {"author": 1}}), 8);
+    assert.strictEqual(count({"publishDate": {"$lte": Date.now() + 60000}}), 10);
+    // property names, operators and values are validated
+    assert.throws(function() {
+        count({"unknown": 1});
+    });
+    assert.throws(function() {
+        count({"title = title OR 1": 1});
+    });
+    assert.throws(function() {
+        count({"author.unknown": "Author 1"});
+    });
+    assert.throws(function() {
+        count({"title.name": "Book 1"});
+    });
+    assert.throws(function() {
+        count({"readCount": "1"});
+    });
+    assert.throws(function() {
+        count({"readCount": {"$gt": null}});
+    });
+    assert.throws(function() {
+        count({"readCount": {"$where": "1 = 1"}});
+    });
+    assert.throws(function() {
+        count({"$where": "1 = 1"});
+    });
+    assert.throws(function() {
+        count({"id": [1, 2]});
+    });
+    assert.throws(function() {
+        count({"readCount": {"$like": "1%"}});
+    });
+    // queries can be converted back into filter objects
+    assert.deepEqual(Book.query().equals("title", "Book 1").greater("id", 0).toFilter(),
+            {"title": "Book 1", "id": {"$gt": 0}});
+    var filter = {
+        "author.name": {"$in": ["Author 1", "Author 2"]},
+        "$or": [{"title": "Book 1"}, {"id": {"$gte": 4}}]
+    };
+    var query = Book.query().where(filter);
+    assert.strictEqual(query.count(), 2);
+    assert.strictEqual(Book.query().where(query.toFilter()).count(), 2);
+    assert.throws(function() {
+        Book.query().exists(Author.query().correlate("id", "author")).toFilter();
+    });
+    return;
+};
+
+exports.testQueryInclude = function() {
+    populate(store);
+    var isCached = function(type, id) {
+        return store.cache.containsKey(new Key(type, id).toString());
+    };
+    store.cache.clear();
+    var books = Book.query().include("author").orderBy("id").select();
+    assert.strictEqual(books.length, 10);
+    for (var i=1; i<=5; i+=1) {
+        assert.isTrue(isCached("Author", i));
+    }
+    books.forEach(function(book, idx) {
+        assert.strictEqual(book.author._id, Math.floor(idx / 2) + 1);
+        assert.strictEqual(book.author, Author.get(book.author._id));
+    });
+    // collections are populated with the included entities
+    store.cache.clear();
+    var authors = Author.query().include("books").less("id", 3).orderBy("id").select();
+    assert.strictEqual(authors.length, 2);
+    for (var i=1; i<=4; i+=1) {
+        assert.isTrue(isCached("Book", i));
+    }
+    assert.isFalse(isCached("Book", 5));
+    assert.strictEqual(authors[0].books.length, 2);
+    assert.strictEqual(authors[0].books.get(0), Book.get(1));
+    assert.strictEqual(authors[1].books.get(1), Book.get(4));
+    // nested paths
+    store.cache.clear();
+    books = Book.query().include("author.books").equals("id", 1).select();
+    assert.strictEqual(books.length, 1);
+    assert.isTrue(isCached("Author", 1));
+    assert.isTrue(isCached("Book", 2));
+    assert.strictEqual(books[0].author.books.length, 2);
+    // only relations can be included
+    assert.throws(function() {
+        Book.query().include("title");
+    });
+    assert.throws(function() {
+        Book.query().include("unknown");
+    });
+    assert.throws(function() {
+        Book.query().include("author.name");
+    });
+    return;
+};
+
+exports.testQueryLock = function() {
+    populate(store);
+    // locking requires an open transaction
+    assert.throws(function() {
+        Book.query().equals("id", 1).forUpdate().select();
+    });
+    assert.throws(function() {
+        store.lock(Book.get(1));
+    });
+    // invalid options
+    assert.throws(function() {
+        Book.query().forUpdate({"nowait": true, "timeout": 5});
+    });
+    assert.throws(function() {
+        Book.query().forUpdate({"timeout": -1});
+    });
+    store.beginTransaction();
+    var result = Book.query().equals("author", 1).orderBy("id").forUpdate().select();
+    assert.strictEqual(result.length, 2);
+    // only entity selects lock rows
+    assert.isTrue(Book.query().equals("author", 1).forUpdate().exists());
+    assert.throws(function() {
+        Book.query().forUpdate().count();
+    });
+    assert.throws(function() {
+        Book.query().forUpdate().groupBy("author").aggregate("author", "count(*)");
+    });
+    assert.throws(function() {
+        Book.query().forUpdate().paginate(1, 5);
+    });
+    assert.throws(function() {
+        Book.query().distinct().forUpdate().select("price");
+    });
+    assert.throws(function() {
+        Book.query().equals("author.name", "Author 1").forUpdate().select();
+    });
+    var book = store.lock(Book.get(3));
+    assert.strictEqual(book._id, 3);
+    book.readCount += 1;
+    book.save();
+    store.commitTransaction();
+    assert.strictEqual(Book.get(3).readCount, 1);
+    return;
+};
+
+exports.testQueryWhereSql = function() {
+    populate(store);
+    assert.strictEqual(Book.query().whereSql("{price} * ? > ?", [2, 25]).count(), 10);
+    assert.strictEqual(Book.query().whereSql("{price} * ? > ?", [2, 26]).count(), 0);
+    // combined with other clauses
+    assert.strictEqual(Book.query().equals("author", 1)
+            .whereSql("{title} <> ?", ["Book 1"]).count(), 1);
+    assert.strictEqual(Book.query().or(function(q) {
+        q.whereSql("{id} = ?", [1]);
+    }, function(q) {
+        q.equals("id", 2);
+    }).count(), 2);
+    // property paths and storables as parameters
+    assert.strictEqual(Book.query().whereSql("{author.name} = ?", ["Author 2"]).count(), 2);
+    assert.strictEqual(Book.query().whereSql("{author} = ?", [Author.get(3)]).count(), 2);
+    assert.strictEqual(Book.query().whereSql("{id} < 3").count(), 2);
+    assert.throws(function() {
+        Book.query().whereSql("{unknown} = ?", [1]).count();
+    });
+    assert.throws(function() {
+        Book.query().whereSql("", []);
+    });
+    assert.throws(function() {
+        Book.query().whereSql("{id} = ?", 1);
+    });
+    assert.throws(function() {
+        Book.query().whereSql("{id} = ?", [1]).toFilter();
+    });
+    assert.throws(function() {
+        Book.query().whereSql({"id": 1});
+    });
+    // where() only accepts filter objects
+    assert.throws(function() {
+        Book.query().where("1=1) OR (1=1");
+    });
+    assert.throws(function() {
+        Book.query().where("{id} = ?", [1]);
+    });
+    return;
+};
+
+exports.testCompositeKey = function() {
+    populate(store);
+    Authorship = store.defineEntity("Authorship", MAPPING_AUTHORSHIP);
+    var authorship = new Authorship({
+        "author": Author.get(1),
+        "book": Book.get(3),
+        "role": "Editor"
+    });
+    authorship.save();
+    assert.deepEqual(authorship._id, [1, 3]);
+    (new Authorship({
+        "author": Author.get(2),
+        "book": Book.get(3),
+        "role": "Author"
+    })).save();
+    // all key properties are required
+    assert.throws(function() {
+        (new Authorship({"author": Author.get(3)})).save();
+    });
+    // read
+    authorship = Authorship.get([1, 3]);
+    assert.isNotNull(authorship);
+    assert.strictEqual(authorship, Authorship.get([1, 3]));
+    assert.strictEqual(authorship.role, "Editor");
+    assert.strictEqual(authorship.author, Author.get(1));
+    assert.strictEqual(authorship.book, Book.get(3));
+    assert.isNull(Authorship.get([1, 4]));
+    assert.throws(function() {
+        Authorship.get(1);
+    });
+    // query
+    var result = Authorship.query().equals("book", 3).orderBy("author").select();
+    assert.strictEqual(result.length, 2);
+    assert.strictEqual(result[0], authorship);
+    assert.deepEqual(result[1]._id, [2, 3]);
+    assert.throws(function() {
+        Authorship.query().equals("id", [1, 3]).select();
+    });
+    // including relations of entities with a composite id
+    store.cache.clear();
+    result = Authorship.query().include("author", "book").orderBy("author").select();
+    assert.strictEqual(result.length, 2);
+    assert.isTrue(store.cache.containsKey(new Key("Author", 2).toString()));
+    assert.isTrue(store.cache.containsKey(new Key("Book", 3).toString()));
+    assert.strictEqual(result[1].author, Author.get(2));
+    assert.strictEqual(result[1].book, Book.get(3));
+    authorship = Authorship.get([1, 3]);
+    // update
+    authorship.role = "Co-Author";
+    authorship.save();
+    assert.strictEqual(Authorship.query().equals("role", "Co-Author").count(), 1);
+    assert.strictEqual(Authorship.query().equals("author", 2)
+            .update({"role": "Translator"}), 1);
+    assert.strictEqual(Authorship.get([2, 3]).role, "Translator");
+    assert.throws(function() {
+        Authorship.query().update({"book": Book.get(4)});
+    });
+    // remove
+    Authorship.get([2, 3]).remove();
+    assert.isNull(Authorship.get([2, 3]));
+    assert.strictEqual(Authorship.query().count(), 1);
+    // key properties can't be changed
+    authorship.book = Book.get(4);
+    assert.throws(function() {
+        authorship.save();
+    });
+    return;
+};
+
+exports.testStringIds = function() {
+    Country = store.defineEntity("Country", MAPPING_COUNTRY);
+    var country = new Country({
+        "id": "AT",
+        "name": "Austria"
+    });
+    country.save();
+    assert.strictEqual(country._id, "AT");
+    // string ids must be assigned
+    assert.throws(function() {
+        (new Country({"name": "Nowhere"})).save();
+    });
+    assert.throws(function() {
+        (new Country({"id": 1, "name": "Nowhere"})).save();
+    });
+    country = Country.get("AT");
+    assert.isNotNull(country);
+    assert.strictEqual(country, Country.get("AT"));
+    assert.strictEqual(country.name, "Austria");
+    assert.isNull(Country.get("DE"));
+    assert.strictEqual(Country.query().equals("id", "AT").first(), country);
+    // references to entities with a string id
+    City = store.defineEntity("City", MAPPING_CITY);
+    var countryMapping = City.mapping.getMapping("country");
+    assert.strictEqual(countryMapping.type, "string");
+    assert.strictEqual(countryMapping.length, 2);
+    var city = new City({
+        "name": "Vienna",
+        "country": country
+    });
+    city.save();
+    store.cache.clear();
+    assert.strictEqual(City.get(city._id).country, Country.get("AT"));
+    assert.strictEqual(City.query().equals("country", Country.get("AT")).count(), 1);
+    assert.strictEqual(City.query().equals("country", "AT").count(), 1);
+    assert.strictEqual(City.query().where({"country": "AT"}).count(), 1);
+    assert.strictEqual(City.query().equals("country.name", "Austria").count(), 1);
+    store.cache.clear();
+    var cities = City.query().include("country").select();
+    assert.strictEqual(cities.length, 1);
+    assert.strictEqual(cities[0].country.name, "Austria");
+    cities[0].remove();
+    country = Country.get("AT");
+    country.name = "Republic of Austria";
+    country.save();
+    assert.strictEqual(Country.get("AT").name, "Republic of Austria");
+    Country.get("AT").remove();
+    assert.isNull(Country.get("AT"));
+    return;
+};
+
+exports.testObjectMappingOrder = function() {
+    var tableExists = function(ctor) {
+        var conn = store.getConnection();
+        try {
+            var schemaName = ctor.mapping.schemaName || store.dialect.getDefaultSchema(conn);
+            return sqlUtils.tableExists(conn, ctor.mapping.tableName, schemaName);
+        } finally {
+            sqlUtils.close(conn);
+        }
+    };
+    // the table is created once the referenced entity is defined
+    City = store.defineEntity("City", MAPPING_CITY);
+    assert.isFalse(tableExists(City));
+    assert.throws(function() {
+        return City.mapping.getMapping("country").type;
+    });
+    // entities referencing each other
+    Country = store.defineEntity("Country", {
+        "table": "country",
+        "id": MAPPING_COUNTRY.id,
+        "properties": {
+            "name": MAPPING_COUNTRY.properties.name,
+            "capital": {
+                "type": "object",
+                "entity": "City",
+                "column": "country_f_capital"
+            }
+        }
+    });
+    assert.isTrue(tableExists(City));
+    assert.isTrue(tableExists(Country));
+    assert.strictEqual(City.mapping.getMapping("country").type, "string");
+    assert.strictEqual(Country.mapping.getMapping("capital").type, "long");
+    var country = new Country({
+        "id": "AT",
+        "name": "Austria"
+    });
+    country.save();
+    var city = new City({
+        "name": "Vienna",
+        "country": country
+    });
+    city.save();
+    country.capital = city;
+    country.save();
+    store.cache.clear();
+    assert.strictEqual(Country.get("AT").capital.country, Country.get("AT"));
+    return;
+};
+
+exports.testUuidIds = function() {
+    Session = store.defineEntity("Session", MAPPING_SESSION);
+    var session = new Session({
+        "data": "test"
+    });
+    session.save();
+    assert.isTrue(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(session._id));
+    var other = new Session({
+        "data": "other"
+    });
+    other.save();
+    assert.notStrictEqual(other._id, session._id);
+    assert.strictEqual(Session.get(session._id).data, "test");
+    assert.strictEqual(Session.query().equals("data", "other").first()._id, other._id);
+    assert.strictEqual(Session.query().count(), 2);
+    return;
+};
+
 exports.testQueryOrder = function() {
     populate(store);
     var result = Book.query().orderBy("id desc").select();
@@ -475,6 +1623,54 @@ exports.testQueryOrder = function() {
     return;
 };
 
+exports.testQueryOrderExpressions = function() {
+    populate(store);
+    var getIds = function(books) {
+        return books.map(function(book) {
+            return book._id;
+        });
+    };
+    // multiple keys, either in one expression or as separate arguments
+    assert.deepEqual(getIds(Book.query().less("id", 5)
+            .orderBy("author desc, id asc").select()), [3, 4, 1, 2]);
+    assert.deepEqual(getIds(Book.query().less("id", 5)
+            .orderBy("author.name descending", "id desc").select()), [4, 3, 2, 1]);
+    // placement of null values
+    var book = Book.get(3);
+    book.available = true;
+    book.save();
+    book = Book.get(4);
+    book.available = false;
+    book.save();
+    assert.deepEqual(getIds(Book.query().less("id", 6)
+            .orderBy("available nulls first, id").select()), [1, 2, 5, 4, 3]);
+    assert.deepEqual(getIds(Book.query().less("id", 6)
+            .orderBy("available desc nulls last, id").select()), [3, 4, 1, 2, 5]);
+    // case-insensitive sorting
+    book = Book.get(7);
+    book.title = "a book";
+    book.save();
+    book = Book.get(8);
+    book.title = "C book";
+    book.save();
+    var result = Book.query().orderBy("lower(title) desc").select();
+    assert.strictEqual(result[0]._id, 8);
+    assert.strictEqual(result[9]._id, 7);
+    // keyset pagination with case-insensitive order
+    var page = Book.query().orderBy("LOWER(title)").seek(5);
+    assert.deepEqual(getIds(page.items), [7, 1, 10, 2, 3]);
+    page = Book.query().orderBy("LOWER(title)").after(page.next).seek(5);
+    assert.deepEqual(getIds(page.items), [4, 5, 6, 9, 8]);
+    // invalid expressions
+    ["", "title; DELETE FROM book", "title asc desc", "nulls first",
+            "upper(title)", "title,", "title nulls"].forEach(function(expression) {
+        assert.throws(function() {
+            Book.query().orderBy(expression);
+        });
+    });
+    return;
+};
+
 exports.testQueryLimit = function() {
     populate(store);
     var result = Book.query().limit(5).select();